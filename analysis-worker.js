@@ -0,0 +1,78 @@
+// Decodes and scores one photo per message, off the renderer's main thread.
+// Takes { src, settings } and posts back { result }: every metric from
+// BlurScoring.analyzeImageData, or -1 when the file can't be read or decoded.
+// With `focusMap: true` the result is the lightbox's focus peaking overlay
+// instead: { width, height, map, box }. With `thumbnail: { size, quality }`
+// it is a JPEG of the photo scaled to fit `size`, as a Uint8Array.
+importScripts("scoring.js");
+
+function loadBlob(src) {
+  // fetch() refuses file:// URLs, XHR doesn't
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", src);
+    xhr.responseType = "blob";
+    xhr.onload = () => resolve(xhr.response);
+    xhr.onerror = () => reject(new Error(`could not read ${src}`));
+    xhr.send();
+  });
+}
+
+async function loadBitmap(src) {
+  return createImageBitmap(await loadBlob(src), { imageOrientation: "from-image" });
+}
+
+function pixelsAt(bitmap, w, h) {
+  const canvas = new OffscreenCanvas(w, h);
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, w, h);
+  return ctx.getImageData(0, 0, w, h).data;
+}
+
+async function analyze(src, settings) {
+  const bitmap = await loadBitmap(src);
+  const { width: w, height: h } = BlurScoring.analysisSize(bitmap.width, bitmap.height);
+  const rgba = pixelsAt(bitmap, w, h);
+  bitmap.close();
+  return BlurScoring.analyzeImageData(rgba, w, h, settings);
+}
+
+// The map is drawn larger than the analysis so edges line up with the photo;
+// the outlined box is picked at analysis size, like the score
+async function focusMap(src, settings) {
+  const { region, denoise } = BlurScoring.normalizeSettings(settings);
+  const bitmap = await loadBitmap(src);
+  const scale = Math.min(1, BlurScoring.FOCUS_MAP_SIZE / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale), height = Math.round(bitmap.height * scale);
+  const small = BlurScoring.analysisSize(bitmap.width, bitmap.height);
+  const gray = BlurScoring.toGrayscale(pixelsAt(bitmap, width, height), width, height);
+  const smallGray = BlurScoring.toGrayscale(pixelsAt(bitmap, small.width, small.height), small.width, small.height);
+  bitmap.close();
+
+  const map = BlurScoring.focusMap(BlurScoring.denoiseGray(gray, width, height, denoise), width, height);
+  const box = BlurScoring.subjectBox(BlurScoring.denoiseGray(smallGray, small.width, small.height, denoise), small.width, small.height, region);
+  return { width, height, map, box };
+}
+
+async function thumbnail(src, { size, quality }) {
+  const bitmap = await loadBitmap(src);
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale)), height = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = new OffscreenCanvas(width, height);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  const blob = await canvas.convertToBlob({ type: "image/jpeg", quality });
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+self.onmessage = async (e) => {
+  let result;
+  try {
+    if (e.data.thumbnail) result = await thumbnail(e.data.src, e.data.thumbnail);
+    else if (e.data.focusMap) result = await focusMap(e.data.src, e.data.settings);
+    else result = await analyze(e.data.src, e.data.settings);
+  } catch {
+    result = -1;
+  }
+  self.postMessage({ result });
+};
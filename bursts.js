@@ -0,0 +1,113 @@
+// Groups photos into bursts (frames shot in quick succession of one runner)
+// and picks the frames to cull from each. Shared like scoring.js: exposed as
+// `BurstGrouping` in the renderer and via require in Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BurstGrouping = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Frames further apart than this start a new burst
+  const DEFAULT_GAP_MS = 1000;
+  // Without capture times, a run of consecutive file numbers is cut at this length
+  const MAX_SEQUENCE_BURST = 10;
+
+  // "IMG_1234.JPG" -> { prefix: "IMG_", number: 1234 }
+  function filenameSequence(name) {
+    const m = /^(.*?)(\d+)(?:\.[^.]*)?$/.exec(name);
+    return m ? { prefix: m[1], number: parseInt(m[2], 10) } : null;
+  }
+
+  function folderOf(photo) {
+    return photo.path.slice(0, photo.path.length - photo.name.length);
+  }
+
+  // Two bodies at the same finish line must not interleave into one burst
+  function cameraKey(exif) {
+    return [exif.make, exif.model, exif.serial].map((v) => v || "").join("|");
+  }
+
+  function groupBy(items, keyFn) {
+    const groups = new Map();
+    for (const item of items) {
+      const key = keyFn(item);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(item);
+    }
+    return [...groups.values()];
+  }
+
+  // Splits an ordered list wherever `breaks(prev, next)` is true
+  function splitRuns(items, breaks) {
+    const runs = [];
+    let run = [];
+    for (const item of items) {
+      if (run.length > 0 && breaks(run[run.length - 1], item, run.length)) {
+        runs.push(run);
+        run = [];
+      }
+      run.push(item);
+    }
+    if (run.length > 0) runs.push(run);
+    return runs;
+  }
+
+  // Returns bursts as arrays of photos in shooting order. Photos with an EXIF
+  // capture time are split on time gaps per camera; the rest fall back to
+  // consecutive file numbers within a folder. Singles are bursts of one.
+  function groupBursts(photos, { gapMs = DEFAULT_GAP_MS } = {}) {
+    const timed = photos.filter((p) => p.exif && p.exif.captureTimeMs != null);
+    const untimed = photos.filter((p) => !(p.exif && p.exif.captureTimeMs != null));
+    const bursts = [];
+
+    for (const group of groupBy(timed, (p) => cameraKey(p.exif))) {
+      group.sort((a, b) => a.exif.captureTimeMs - b.exif.captureTimeMs || a.name.localeCompare(b.name));
+      bursts.push(...splitRuns(group, (prev, next) => next.exif.captureTimeMs - prev.exif.captureTimeMs > gapMs));
+    }
+
+    const numbered = [];
+    for (const p of untimed) {
+      const seq = filenameSequence(p.name);
+      if (seq) numbered.push({ photo: p, seq });
+      else bursts.push([p]);
+    }
+    for (const group of groupBy(numbered, (n) => folderOf(n.photo) + "\0" + n.seq.prefix)) {
+      group.sort((a, b) => a.seq.number - b.seq.number);
+      const runs = splitRuns(group, (prev, next, length) =>
+        next.seq.number - prev.seq.number !== 1 || length >= MAX_SEQUENCE_BURST);
+      bursts.push(...runs.map((run) => run.map((n) => n.photo)));
+    }
+
+    return bursts;
+  }
+
+  // Highest score first; failed analyses (negative scores) never count as sharpest
+  function bySharpness(a, b) {
+    return b.score - a.score;
+  }
+
+  function sharpestInBurst(burst) {
+    return burst.filter((p) => p.score >= 0).sort(bySharpness)[0] || null;
+  }
+
+  // Paths of every analyzed frame except the `keep` sharpest of each burst.
+  // Photos that failed analysis are left alone rather than culled.
+  function selectAllButSharpest(bursts, keep = 1) {
+    const paths = [];
+    for (const burst of bursts) {
+      const ranked = burst.filter((p) => p.score >= 0).sort(bySharpness);
+      ranked.slice(Math.max(0, keep)).forEach((p) => paths.push(p.path));
+    }
+    return paths;
+  }
+
+  return {
+    DEFAULT_GAP_MS,
+    MAX_SEQUENCE_BURST,
+    filenameSequence,
+    groupBursts,
+    sharpestInBurst,
+    selectAllButSharpest,
+  };
+});
@@ -0,0 +1,123 @@
+const {
+  DEFAULT_GAP_MS,
+  MAX_SEQUENCE_BURST,
+  filenameSequence,
+  groupBursts,
+  sharpestInBurst,
+  selectAllButSharpest,
+} = require("./bursts");
+
+const T0 = Date.UTC(2024, 3, 21, 9, 0, 0);
+
+function photo(name, score, captureOffsetMs, exif = {}) {
+  return {
+    name,
+    path: `/shoot/${name}`,
+    score,
+    exif: captureOffsetMs === undefined ? null : { make: "Canon", model: "R5", serial: "1", captureTimeMs: T0 + captureOffsetMs, ...exif },
+  };
+}
+
+const names = (bursts) => bursts.map((b) => b.map((p) => p.name));
+
+describe("filenameSequence", () => {
+  test("splits the trailing number from the prefix", () => {
+    expect(filenameSequence("IMG_1234.JPG")).toEqual({ prefix: "IMG_", number: 1234 });
+    expect(filenameSequence("DSC09999.jpg")).toEqual({ prefix: "DSC", number: 9999 });
+  });
+
+  test("returns null without a number", () => {
+    expect(filenameSequence("finish.jpg")).toBeNull();
+  });
+});
+
+describe("groupBursts", () => {
+  test("splits on capture-time gaps", () => {
+    const photos = [
+      photo("a.jpg", 1, 0), photo("b.jpg", 1, 200), photo("c.jpg", 1, 400),
+      photo("d.jpg", 1, 5000), photo("e.jpg", 1, 5100),
+    ];
+    expect(names(groupBursts(photos))).toEqual([["a.jpg", "b.jpg", "c.jpg"], ["d.jpg", "e.jpg"]]);
+  });
+
+  test("orders frames by capture time, not input order", () => {
+    const photos = [photo("late.jpg", 1, 300), photo("early.jpg", 1, 0)];
+    expect(names(groupBursts(photos))).toEqual([["early.jpg", "late.jpg"]]);
+  });
+
+  test("respects a custom gap", () => {
+    const photos = [photo("a.jpg", 1, 0), photo("b.jpg", 1, 1500)];
+    expect(groupBursts(photos)).toHaveLength(2);
+    expect(groupBursts(photos, { gapMs: 2000 })).toHaveLength(1);
+    expect(DEFAULT_GAP_MS).toBeLessThan(1500);
+  });
+
+  test("keeps different cameras apart", () => {
+    const photos = [
+      photo("a1.jpg", 1, 0), photo("b1.jpg", 1, 100, { serial: "2" }),
+      photo("a2.jpg", 1, 200), photo("b2.jpg", 1, 300, { serial: "2" }),
+    ];
+    expect(names(groupBursts(photos))).toEqual([["a1.jpg", "a2.jpg"], ["b1.jpg", "b2.jpg"]]);
+  });
+
+  test("falls back to consecutive file numbers", () => {
+    const photos = [
+      photo("IMG_0003.JPG", 1), photo("IMG_0001.JPG", 1), photo("IMG_0002.JPG", 1),
+      photo("IMG_0010.JPG", 1),
+    ];
+    expect(names(groupBursts(photos))).toEqual([["IMG_0001.JPG", "IMG_0002.JPG", "IMG_0003.JPG"], ["IMG_0010.JPG"]]);
+  });
+
+  test("caps sequence runs so a whole card is not one burst", () => {
+    const photos = Array.from({ length: MAX_SEQUENCE_BURST + 3 }, (_, i) => photo(`IMG_${1000 + i}.JPG`, 1));
+    const bursts = groupBursts(photos);
+    expect(bursts.map((b) => b.length)).toEqual([MAX_SEQUENCE_BURST, 3]);
+  });
+
+  test("does not join sequences across folders or prefixes", () => {
+    const photos = [
+      photo("IMG_0001.JPG", 1), photo("DSC_0002.JPG", 1),
+      { name: "IMG_0002.JPG", path: "/other/IMG_0002.JPG", score: 1, exif: null },
+    ];
+    expect(groupBursts(photos)).toHaveLength(3);
+  });
+
+  test("photos without a number stand alone", () => {
+    expect(names(groupBursts([photo("finish.jpg", 1), photo("start.jpg", 1)]))).toEqual([["finish.jpg"], ["start.jpg"]]);
+  });
+
+  test("includes every photo exactly once", () => {
+    const photos = [photo("a.jpg", 1, 0), photo("IMG_1.JPG", 1), photo("x.jpg", 1), photo("b.jpg", 1, 9000)];
+    expect(groupBursts(photos).flat().sort((a, b) => a.name.localeCompare(b.name))).toEqual(
+      [...photos].sort((a, b) => a.name.localeCompare(b.name)));
+  });
+});
+
+describe("sharpestInBurst", () => {
+  test("returns the highest-scoring analyzed frame", () => {
+    expect(sharpestInBurst([photo("a", 300), photo("b", 900), photo("c", -1)]).name).toBe("b");
+  });
+
+  test("returns null when nothing was analyzed", () => {
+    expect(sharpestInBurst([photo("a", -1)])).toBeNull();
+  });
+});
+
+describe("selectAllButSharpest", () => {
+  const bursts = [
+    [photo("a1.jpg", 500), photo("a2.jpg", 900), photo("a3.jpg", 700)],
+    [photo("single.jpg", 10)],
+  ];
+
+  test("selects all but the sharpest frame of each burst", () => {
+    expect(selectAllButSharpest(bursts)).toEqual(["/shoot/a3.jpg", "/shoot/a1.jpg"]);
+  });
+
+  test("keeps the sharpest N", () => {
+    expect(selectAllButSharpest(bursts, 2)).toEqual(["/shoot/a1.jpg"]);
+  });
+
+  test("never selects photos that failed analysis", () => {
+    expect(selectAllButSharpest([[photo("ok.jpg", 100), photo("bad.jpg", -1)]])).toEqual([]);
+  });
+});
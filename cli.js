@@ -0,0 +1,320 @@
+const fs = require("fs");
+const {
+  classify,
+  suggestThreshold,
+  BORDERLINE_RATIO,
+  DEFAULT_REGION,
+  normalizeRegion,
+  DENOISE_MODES,
+  METRICS,
+  DEFAULT_METRIC,
+  metricScore,
+  photoDefects,
+} = require("./scoring");
+const { DEFAULT_MAX_DEPTH } = require("./scan-rules");
+const { buildReport, formatReport } = require("./report");
+
+const USAGE = `Usage: race-blur-detector --cli [options] <folder> [folder...]
+
+Options:
+  --recursive        Also scan subfolders (review_blurry folders are skipped)
+  --depth <n>        How many subfolder levels --recursive goes down (default ${DEFAULT_MAX_DEPTH})
+  --include <glob>   Only scan matching files or folders, e.g. "*.CR3" or
+                     "DCIM/1*" (repeatable)
+  --exclude <glob>   Skip matching files or folders (repeatable)
+  --metric <name>    Sharpness metric: "laplacian" (default), "tenengrad" or "fft"
+  --threshold <n>    Sharpness threshold (default 700 for laplacian, 5000 for
+                     tenengrad, 20 for fft), or "auto" to pick one from the
+                     spread of scores in the shoot
+  --borderline <r>   Borderline band: scores from r x threshold up to the
+                     threshold are borderline (default 0.7)
+  --action <name>    "report" (default), "move" to move blurry photos, or
+                     "xmp" to write ratings and scores as XMP metadata
+  --dest <folder>    Destination for --action move (default <first folder>/review_blurry)
+  --on-collision <mode>
+                     Same-named files when moving: "suffix" (default), "subfolder"
+                     (one per camera model and serial, from EXIF) or "skip"
+  --embed            With --action xmp, embed XMP in the JPEGs instead of sidecars
+                     (RAW files always get sidecars)
+  --format <name>    "json" (default) or "csv"
+  --output <file>    Write the report to a file instead of stdout
+  --region <region>  Scoring region: "center" (default), "tiles" for the sharpest
+                     tile, or "x1,y1,x2,y2" as fractions of the frame (0-1)
+  --denoise <mode>   Prefilter grainy frames before scoring: "off" (default),
+                     "gaussian" or "median"
+  --iso-normalize    Scale scores down for high-ISO frames using their EXIF ISO
+  --rescan           Ignore cached scores and analyze every photo again
+  --help             Show this message
+`;
+
+const ACTIONS = ["report", "move", "xmp"];
+const FORMATS = ["json", "csv"];
+const COLLISION_MODES = ["suffix", "subfolder", "skip"];
+
+// "center", "tiles" or "x1,y1,x2,y2"; null when invalid
+function parseRegion(raw) {
+  if (raw === "center" || raw === "tiles") return { mode: raw };
+  const parts = String(raw).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((v) => !Number.isFinite(v) || v < 0 || v > 1)) return null;
+  const [x1, y1, x2, y2] = parts;
+  const region = normalizeRegion({ mode: "custom", x1, y1, x2, y2 });
+  return region.mode === "custom" ? region : null;
+}
+
+function parseCliArgs(argv) {
+  const options = {
+    folders: [],
+    recursive: false,
+    maxDepth: DEFAULT_MAX_DEPTH,
+    include: [],
+    exclude: [],
+    threshold: null,
+    borderline: BORDERLINE_RATIO,
+    metric: DEFAULT_METRIC,
+    action: "report",
+    format: "json",
+    output: null,
+    dest: null,
+    collision: "suffix",
+    xmpTarget: "sidecar",
+    region: DEFAULT_REGION,
+    denoise: "off",
+    isoNormalize: false,
+    rescan: false,
+    help: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value;
+    if (arg.startsWith("--") && arg.includes("=")) {
+      [arg, value] = [arg.slice(0, arg.indexOf("=")), arg.slice(arg.indexOf("=") + 1)];
+    }
+    const next = () => {
+      if (value !== undefined) return value;
+      i++;
+      if (i >= argv.length) return null;
+      return argv[i];
+    };
+
+    switch (arg) {
+      case "--help":
+      case "-h":
+        options.help = true;
+        break;
+      case "--threshold": {
+        const raw = next();
+        if (raw === "auto") {
+          options.threshold = "auto";
+          break;
+        }
+        const threshold = Number(raw);
+        if (raw === null || !Number.isFinite(threshold) || threshold <= 0) {
+          return { error: `invalid --threshold: ${raw}` };
+        }
+        options.threshold = threshold;
+        break;
+      }
+      case "--borderline": {
+        const raw = next();
+        const ratio = Number(raw);
+        if (raw === null || !Number.isFinite(ratio) || ratio <= 0 || ratio >= 1) {
+          return { error: `invalid --borderline: ${raw}` };
+        }
+        options.borderline = ratio;
+        break;
+      }
+      case "--metric":
+        options.metric = next();
+        if (!Object.hasOwn(METRICS, options.metric)) return { error: `invalid --metric: ${options.metric}` };
+        break;
+      case "--action":
+        options.action = next();
+        if (!ACTIONS.includes(options.action)) return { error: `invalid --action: ${options.action}` };
+        break;
+      case "--format":
+        options.format = next();
+        if (!FORMATS.includes(options.format)) return { error: `invalid --format: ${options.format}` };
+        break;
+      case "--output":
+        options.output = next();
+        if (!options.output) return { error: "--output requires a file path" };
+        break;
+      case "--on-collision":
+        options.collision = next();
+        if (!COLLISION_MODES.includes(options.collision)) return { error: `invalid --on-collision: ${options.collision}` };
+        break;
+      case "--embed":
+        options.xmpTarget = "embed";
+        break;
+      case "--recursive":
+        options.recursive = true;
+        break;
+      case "--depth": {
+        const raw = next();
+        const depth = Number(raw);
+        if (raw === null || !Number.isInteger(depth) || depth < 0) return { error: `invalid --depth: ${raw}` };
+        options.maxDepth = depth;
+        break;
+      }
+      case "--include":
+      case "--exclude": {
+        const glob = next();
+        if (!glob) return { error: `${arg} requires a pattern` };
+        options[arg.slice(2)].push(glob);
+        break;
+      }
+      case "--rescan":
+        options.rescan = true;
+        break;
+      case "--denoise":
+        options.denoise = next();
+        if (!DENOISE_MODES.includes(options.denoise)) return { error: `invalid --denoise: ${options.denoise}` };
+        break;
+      case "--iso-normalize":
+        options.isoNormalize = true;
+        break;
+      case "--region": {
+        const raw = next();
+        options.region = parseRegion(raw);
+        if (!options.region) return { error: `invalid --region: ${raw}` };
+        break;
+      }
+      case "--dest":
+        options.dest = next();
+        if (!options.dest) return { error: "--dest requires a folder" };
+        break;
+      default:
+        if (arg.startsWith("-")) return { error: `unknown option: ${arg}` };
+        options.folders.push(arg);
+    }
+  }
+
+  if (!options.help && options.folders.length === 0) {
+    return { error: "no folders given" };
+  }
+  if (options.threshold === null) options.threshold = METRICS[options.metric].threshold;
+  return options;
+}
+
+// Runs a headless scan. The caller supplies the file and score cache helpers
+// from main.js and an analyze(file) function that resolves to the analysis
+// result (every metric, or -1 on failure) the GUI would compute.
+async function runCli(options, deps) {
+  const { scanMultipleFolders, moveToReview, writeXmpMetadata, readExifBatch, analyze, lookupCachedScores, storeCachedScores, stdout, stderr } = deps;
+  for (const folder of options.folders) {
+    if (!fs.existsSync(folder)) {
+      stderr.write(`Folder not found: ${folder}\n`);
+      return 1;
+    }
+  }
+
+  const { recursive, maxDepth, include, exclude } = options;
+  const files = await scanMultipleFolders(options.folders, { recursive, maxDepth, include, exclude });
+  const results = new Map(Object.entries(options.rescan ? {} : await lookupCachedScores(files)));
+  const pending = files.filter((f) => !results.has(f.path));
+  const BATCH = 8;
+
+  for (let i = 0; i < pending.length; i += BATCH) {
+    const batch = pending.slice(i, i + BATCH);
+    const batchResults = await Promise.all(batch.map((f) => analyze(f).catch(() => -1)));
+    batch.forEach((f, j) => results.set(f.path, batchResults[j]));
+    stderr.write(`Scanned ${Math.min(i + BATCH, pending.length)} / ${pending.length}\r`);
+  }
+  if (pending.length > 0) {
+    stderr.write("\n");
+    await storeCachedScores(pending.map((f) => ({ path: f.path, size: f.size, mtimeMs: f.mtimeMs, score: results.get(f.path) })));
+  }
+
+  const exif = options.isoNormalize ? await readExifBatch(files.map((f) => f.path)) : {};
+  const scored = files.map((f) => {
+    const result = results.get(f.path);
+    const iso = exif[f.path] ? exif[f.path].iso : null;
+    return { file: f, result, score: metricScore(result, options.metric, { iso }) };
+  });
+
+  let threshold = options.threshold;
+  let thresholdMethod = "manual";
+  if (threshold === "auto") {
+    const suggestion = suggestThreshold(scored.map((s) => s.score));
+    threshold = suggestion ? suggestion.threshold : METRICS[options.metric].threshold;
+    thresholdMethod = suggestion ? suggestion.method : "default";
+  }
+
+  const photos = scored.map(({ file: f, result, score }) => {
+    const status = classify(score, threshold, options.borderline);
+    return {
+      name: f.name,
+      path: f.path,
+      score,
+      status,
+      defects: photoDefects(status, result),
+      metrics: score < 0 ? null : result,
+      exif: exif[f.path] || null,
+      action: "none",
+    };
+  });
+
+  const report = buildReport({
+    folders: options.folders,
+    metric: options.metric,
+    threshold,
+    thresholdMethod,
+    borderline: options.borderline,
+    action: options.action,
+    photos,
+  });
+
+  let failed = 0;
+  if (options.action === "move") {
+    const blurry = photos.filter((p) => p.status === "blurry");
+    const companionsOf = new Map(scored.map(({ file }) => [file.path, file.companions || []]));
+    const result = await moveToReview({
+      files: blurry.map((p) => p.path),
+      companions: Object.fromEntries(blurry.map((p) => [p.path, companionsOf.get(p.path)])),
+      sourceFolder: options.folders[0],
+      reviewFolderName: "review_blurry",
+      destFolder: options.dest || undefined,
+      collision: options.collision,
+    });
+    report.reviewDir = result.reviewDir;
+    result.results.forEach((r, j) => {
+      if (r.success) {
+        blurry[j].action = "moved";
+        if (r.dest) blurry[j].movedTo = r.dest;
+      } else if (r.skipped) {
+        blurry[j].action = "skipped";
+        blurry[j].error = r.error;
+      } else {
+        blurry[j].action = "move-failed";
+        blurry[j].error = r.error;
+        failed++;
+      }
+    });
+  }
+
+  if (options.action === "xmp") {
+    const result = await writeXmpMetadata({ photos, threshold, target: options.xmpTarget });
+    result.results.forEach((r, j) => {
+      if (r.success) {
+        photos[j].action = "xmp-written";
+      } else {
+        photos[j].action = r.skipped ? "skipped" : "xmp-failed";
+        photos[j].error = r.error;
+        if (!r.skipped) failed++;
+      }
+    });
+  }
+
+  const text = formatReport(report, options.format);
+  if (options.output) {
+    await fs.promises.writeFile(options.output, text);
+  } else {
+    stdout.write(text);
+  }
+
+  if (failed > 0) stderr.write(`${failed} file${failed !== 1 ? "s" : ""} failed\n`);
+  return failed > 0 ? 1 : 0;
+}
+
+module.exports = { USAGE, parseCliArgs, runCli };
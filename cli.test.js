@@ -0,0 +1,375 @@
+const fs = require("fs");
+const path = require("path");
+const os = require("os");
+const { parseCliArgs, runCli } = require("./cli");
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "rbd-cli-test-"));
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function captureStream() {
+  const stream = { text: "", write: (chunk) => { stream.text += chunk; } };
+  return stream;
+}
+
+// Analysis result with a Laplacian score of `score`; other metrics scale with it
+function analysisFor(score) {
+  if (score < 0) return -1;
+  return { laplacian: score, tenengrad: score * 10, fft: score / 20, motionAngle: 0, motionStrength: 0 };
+}
+
+function fakeDeps(scores, overrides = {}) {
+  const files = Object.keys(scores).map((name) => ({ name, path: path.join(tmpDir, name), size: 100, mtimeMs: 1 }));
+  return {
+    scanMultipleFolders: jest.fn(async () => files),
+    moveToReview: jest.fn(async ({ files: moved, destFolder }) => ({
+      reviewDir: destFolder || path.join(tmpDir, "review_blurry"),
+      results: moved.map((f) => ({ file: path.basename(f), success: true })),
+    })),
+    writeXmpMetadata: jest.fn(async ({ photos }) => ({
+      results: photos.map((p) => (p.status === "error"
+        ? { file: p.name, success: false, skipped: true, error: "photo could not be analyzed" }
+        : { file: p.name, success: true })),
+    })),
+    readExifBatch: jest.fn(async (paths) => Object.fromEntries(paths.map((p) => [p, null]))),
+    analyze: jest.fn(async (f) => analysisFor(scores[f.name])),
+    lookupCachedScores: jest.fn(async () => ({})),
+    storeCachedScores: jest.fn(async (results) => ({ stored: results.length })),
+    stdout: captureStream(),
+    stderr: captureStream(),
+    ...overrides,
+  };
+}
+
+describe("parseCliArgs", () => {
+  test("uses defaults with a single folder", () => {
+    const opts = parseCliArgs(["/photos"]);
+    expect(opts).toEqual({
+      folders: ["/photos"],
+      recursive: false,
+      maxDepth: 4,
+      include: [],
+      exclude: [],
+      threshold: 700,
+      borderline: 0.7,
+      metric: "laplacian",
+      action: "report",
+      format: "json",
+      output: null,
+      dest: null,
+      collision: "suffix",
+      xmpTarget: "sidecar",
+      region: { mode: "center" },
+      denoise: "off",
+      isoNormalize: false,
+      rescan: false,
+      help: false,
+    });
+  });
+
+  test("parses recursive scan options", () => {
+    const opts = parseCliArgs(["--recursive", "--depth", "2", "--include", "*.CR3", "--include=DCIM/**", "--exclude", "edits", "/card"]);
+    expect(opts).toMatchObject({ recursive: true, maxDepth: 2, include: ["*.CR3", "DCIM/**"], exclude: ["edits"] });
+    expect(parseCliArgs(["--depth", "-1", "/a"])).toHaveProperty("error");
+    expect(parseCliArgs(["--depth", "1.5", "/a"])).toHaveProperty("error");
+    expect(parseCliArgs(["/a", "--exclude"])).toEqual({ error: "--exclude requires a pattern" });
+  });
+
+  test("parses --metric and picks its default threshold", () => {
+    expect(parseCliArgs(["--metric", "tenengrad", "/a"])).toMatchObject({ metric: "tenengrad", threshold: 5000 });
+    expect(parseCliArgs(["--metric", "fft", "--threshold", "30", "/a"])).toMatchObject({ metric: "fft", threshold: 30 });
+    expect(parseCliArgs(["--metric", "sobel", "/a"])).toHaveProperty("error");
+  });
+
+  test("parses --threshold auto and --borderline", () => {
+    expect(parseCliArgs(["--threshold", "auto", "/a"]).threshold).toBe("auto");
+    expect(parseCliArgs(["--borderline", "0.5", "/a"]).borderline).toBe(0.5);
+    expect(parseCliArgs(["--borderline", "1.5", "/a"])).toHaveProperty("error");
+    expect(parseCliArgs(["--borderline", "0", "/a"])).toHaveProperty("error");
+  });
+
+  test("parses --denoise and --iso-normalize", () => {
+    expect(parseCliArgs(["--denoise", "median", "--iso-normalize", "/a"])).toMatchObject({ denoise: "median", isoNormalize: true });
+    expect(parseCliArgs(["--denoise", "wavelet", "/a"])).toHaveProperty("error");
+  });
+
+  test("parses --region", () => {
+    expect(parseCliArgs(["--region", "tiles", "/a"]).region).toEqual({ mode: "tiles" });
+    expect(parseCliArgs(["--region=0.1,0.5,0.6,1", "/a"]).region).toEqual({ mode: "custom", x1: 0.1, y1: 0.5, x2: 0.6, y2: 1 });
+    expect(parseCliArgs(["--region", "0.1,0.5,0.6", "/a"])).toHaveProperty("error");
+    expect(parseCliArgs(["--region", "0.5,0.5,0.5,0.9", "/a"])).toHaveProperty("error");
+    expect(parseCliArgs(["--region", "left", "/a"])).toHaveProperty("error");
+  });
+
+  test("parses --on-collision", () => {
+    expect(parseCliArgs(["--on-collision", "skip", "/a"]).collision).toBe("skip");
+    expect(parseCliArgs(["--on-collision", "merge", "/a"])).toHaveProperty("error");
+  });
+
+  test("parses --action xmp with --embed", () => {
+    const opts = parseCliArgs(["--action", "xmp", "--embed", "/a"]);
+    expect(opts.action).toBe("xmp");
+    expect(opts.xmpTarget).toBe("embed");
+  });
+
+  test("parses --rescan", () => {
+    expect(parseCliArgs(["--rescan", "/a"]).rescan).toBe(true);
+  });
+
+  test("collects multiple folders", () => {
+    expect(parseCliArgs(["/a", "/b"]).folders).toEqual(["/a", "/b"]);
+  });
+
+  test("parses options given as separate values", () => {
+    const opts = parseCliArgs(["--threshold", "500", "--action", "move", "--format", "csv", "--dest", "/out", "/a"]);
+    expect(opts.threshold).toBe(500);
+    expect(opts.action).toBe("move");
+    expect(opts.format).toBe("csv");
+    expect(opts.dest).toBe("/out");
+    expect(opts.folders).toEqual(["/a"]);
+  });
+
+  test("parses --name=value form", () => {
+    const opts = parseCliArgs(["--threshold=350", "--output=/tmp/report.json", "/a"]);
+    expect(opts.threshold).toBe(350);
+    expect(opts.output).toBe("/tmp/report.json");
+  });
+
+  test("returns error when no folders are given", () => {
+    expect(parseCliArgs([])).toHaveProperty("error");
+  });
+
+  test("--help does not require folders", () => {
+    expect(parseCliArgs(["--help"]).help).toBe(true);
+  });
+
+  test("rejects non-numeric threshold", () => {
+    expect(parseCliArgs(["--threshold", "abc", "/a"])).toHaveProperty("error");
+  });
+
+  test("rejects missing threshold value", () => {
+    expect(parseCliArgs(["/a", "--threshold"])).toHaveProperty("error");
+  });
+
+  test("rejects unknown action", () => {
+    expect(parseCliArgs(["--action", "delete", "/a"])).toHaveProperty("error");
+  });
+
+  test("rejects unknown format", () => {
+    expect(parseCliArgs(["--format", "xml", "/a"])).toHaveProperty("error");
+  });
+
+  test("rejects unknown options", () => {
+    expect(parseCliArgs(["--verbose", "/a"])).toEqual({ error: "unknown option: --verbose" });
+  });
+});
+
+describe("runCli", () => {
+  test("reports scores and classifications as JSON", async () => {
+    const deps = fakeDeps({ "a.jpg": 900, "b.jpg": 600, "c.jpg": 100 });
+    const code = await runCli(parseCliArgs([tmpDir]), deps);
+
+    expect(code).toBe(0);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.summary).toEqual({ total: 3, sharp: 1, borderline: 1, blurry: 1, error: 0, overexposed: 0, underexposed: 0 });
+    expect(report.photos.map((p) => p.status)).toEqual(["sharp", "borderline", "blurry"]);
+    expect(deps.moveToReview).not.toHaveBeenCalled();
+  });
+
+  test("tags exposure defects alongside blur", async () => {
+    const scores = { "a.jpg": 900, "b.jpg": 100 };
+    const deps = fakeDeps(scores, {
+      analyze: jest.fn(async (f) => ({ ...analysisFor(scores[f.name]), clippedHighlights: 0, crushedShadows: 60, meanExposure: 20 })),
+    });
+    await runCli(parseCliArgs([tmpDir]), deps);
+
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos.map((p) => p.defects)).toEqual([["underexposed"], ["blurry", "underexposed"]]);
+    expect(report.summary.underexposed).toBe(2);
+  });
+
+  test("passes scan options through to the folder scan", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 });
+    await runCli(parseCliArgs(["--recursive", "--exclude", "edits", tmpDir]), deps);
+    expect(deps.scanMultipleFolders).toHaveBeenCalledWith([tmpDir], { recursive: true, maxDepth: 4, include: [], exclude: ["edits"] });
+  });
+
+  test("classifies by the chosen metric and reports every metric", async () => {
+    const deps = fakeDeps({ "a.jpg": 900, "b.jpg": 100 });
+    await runCli(parseCliArgs(["--metric", "tenengrad", tmpDir]), deps);
+
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.metric).toBe("tenengrad");
+    expect(report.threshold).toBe(5000);
+    expect(report.photos.map((p) => [p.score, p.status])).toEqual([[9000, "sharp"], [1000, "blurry"]]);
+    expect(report.photos[0].metrics).toEqual(analysisFor(900));
+  });
+
+  test("--iso-normalize scales scores by the EXIF ISO", async () => {
+    const deps = fakeDeps({ "a.jpg": 1000, "b.jpg": 1000 }, {
+      readExifBatch: jest.fn(async () => ({ [path.join(tmpDir, "a.jpg")]: { iso: 25600 }, [path.join(tmpDir, "b.jpg")]: null })),
+    });
+    await runCli(parseCliArgs(["--iso-normalize", tmpDir]), deps);
+
+    const [a, b] = JSON.parse(deps.stdout.text).photos;
+    expect(a.score).toBe(500);
+    expect(b.score).toBe(1000);
+  });
+
+  test("reads EXIF only when normalizing for ISO", async () => {
+    const deps = fakeDeps({ "a.jpg": 1000 });
+    await runCli(parseCliArgs([tmpDir]), deps);
+    expect(deps.readExifBatch).not.toHaveBeenCalled();
+  });
+
+  test("applies the borderline band", async () => {
+    const deps = fakeDeps({ "a.jpg": 400 });
+    await runCli(parseCliArgs(["--borderline", "0.5", tmpDir]), deps);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.borderline).toBe(0.5);
+    expect(report.photos[0].status).toBe("borderline");
+  });
+
+  test("--threshold auto picks a threshold from the scores", async () => {
+    const scores = {};
+    for (let i = 0; i < 30; i++) scores[`blur${i}.jpg`] = 80 + i * 3;
+    for (let i = 0; i < 60; i++) scores[`sharp${i}.jpg`] = 1500 + i * 20;
+    const deps = fakeDeps(scores);
+    await runCli(parseCliArgs(["--threshold", "auto", tmpDir]), deps);
+
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.thresholdMethod).toBe("valley");
+    expect(report.threshold).toBeGreaterThan(170);
+    expect(report.threshold).toBeLessThan(1500);
+    expect(report.summary.sharp).toBe(60);
+  });
+
+  test("classifies against the given threshold", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 });
+    await runCli(parseCliArgs(["--threshold", "1000", tmpDir]), deps);
+    expect(JSON.parse(deps.stdout.text).photos[0].status).toBe("borderline");
+  });
+
+  test("records analysis failures as errors", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 }, { analyze: jest.fn(async () => { throw new Error("boom"); }) });
+    await runCli(parseCliArgs([tmpDir]), deps);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos[0]).toMatchObject({ score: -1, status: "error" });
+  });
+
+  test("move action moves only blurry photos", async () => {
+    const deps = fakeDeps({ "a.jpg": 900, "b.jpg": 600, "c.jpg": 100 });
+    await runCli(parseCliArgs(["--action", "move", tmpDir]), deps);
+
+    expect(deps.moveToReview).toHaveBeenCalledTimes(1);
+    expect(deps.moveToReview.mock.calls[0][0].files).toEqual([path.join(tmpDir, "c.jpg")]);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos.find((p) => p.name === "c.jpg").action).toBe("moved");
+    expect(report.photos.find((p) => p.name === "a.jpg").action).toBe("none");
+    expect(report.reviewDir).toBe(path.join(tmpDir, "review_blurry"));
+  });
+
+  test("move action uses --dest", async () => {
+    const deps = fakeDeps({ "c.jpg": 100 });
+    const dest = path.join(tmpDir, "out");
+    await runCli(parseCliArgs(["--action", "move", "--dest", dest, tmpDir]), deps);
+    expect(deps.moveToReview.mock.calls[0][0].destFolder).toBe(dest);
+  });
+
+  test("passes the collision mode and reports renamed and skipped files", async () => {
+    const deps = fakeDeps({ "a.jpg": 100, "b.jpg": 100 }, {
+      moveToReview: jest.fn(async () => ({
+        reviewDir: tmpDir,
+        results: [
+          { file: "a.jpg", success: true, renamed: true, dest: path.join(tmpDir, "a-1.jpg") },
+          { file: "b.jpg", success: false, skipped: true, error: "exists" },
+        ],
+      })),
+    });
+    const code = await runCli(parseCliArgs(["--action", "move", "--on-collision", "skip", tmpDir]), deps);
+
+    expect(code).toBe(0);
+    expect(deps.moveToReview.mock.calls[0][0].collision).toBe("skip");
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos[0]).toMatchObject({ action: "moved", movedTo: path.join(tmpDir, "a-1.jpg") });
+    expect(report.photos[1]).toMatchObject({ action: "skipped" });
+  });
+
+  test("xmp action writes metadata for every photo", async () => {
+    const deps = fakeDeps({ "a.jpg": 900, "b.jpg": -1 });
+    const code = await runCli(parseCliArgs(["--action", "xmp", "--embed", "--threshold", "800", tmpDir]), deps);
+
+    expect(code).toBe(0);
+    expect(deps.writeXmpMetadata).toHaveBeenCalledWith(expect.objectContaining({ threshold: 800, target: "embed" }));
+    expect(deps.writeXmpMetadata.mock.calls[0][0].photos).toHaveLength(2);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos.map((p) => p.action)).toEqual(["xmp-written", "skipped"]);
+    expect(deps.moveToReview).not.toHaveBeenCalled();
+  });
+
+  test("returns 1 when a move fails", async () => {
+    const deps = fakeDeps({ "c.jpg": 100 }, {
+      moveToReview: jest.fn(async () => ({ reviewDir: tmpDir, results: [{ file: "c.jpg", success: false, error: "EACCES" }] })),
+    });
+    const code = await runCli(parseCliArgs(["--action", "move", tmpDir]), deps);
+    expect(code).toBe(1);
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos[0]).toMatchObject({ action: "move-failed", error: "EACCES" });
+  });
+
+  test("writes CSV to --output file", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 });
+    const out = path.join(tmpDir, "report.csv");
+    await runCli(parseCliArgs(["--format", "csv", "--output", out, tmpDir]), deps);
+
+    expect(deps.stdout.text).toBe("");
+    const lines = fs.readFileSync(out, "utf8").trim().split("\n");
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain("a.jpg,900,sharp,700,none");
+  });
+
+  test("uses cached scores and only analyzes the rest", async () => {
+    const deps = fakeDeps({ "a.jpg": 900, "b.jpg": 100 }, {
+      lookupCachedScores: jest.fn(async () => ({ [path.join(tmpDir, "a.jpg")]: analysisFor(950) })),
+    });
+    await runCli(parseCliArgs([tmpDir]), deps);
+
+    expect(deps.analyze).toHaveBeenCalledTimes(1);
+    expect(deps.analyze.mock.calls[0][0].name).toBe("b.jpg");
+    const report = JSON.parse(deps.stdout.text);
+    expect(report.photos.map((p) => [p.name, p.score])).toEqual([["a.jpg", 950], ["b.jpg", 100]]);
+  });
+
+  test("stores newly computed scores", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 });
+    await runCli(parseCliArgs([tmpDir]), deps);
+    expect(deps.storeCachedScores).toHaveBeenCalledWith([
+      { path: path.join(tmpDir, "a.jpg"), size: 100, mtimeMs: 1, score: analysisFor(900) },
+    ]);
+  });
+
+  test("--rescan ignores the cache", async () => {
+    const deps = fakeDeps({ "a.jpg": 900 }, {
+      lookupCachedScores: jest.fn(async () => ({ [path.join(tmpDir, "a.jpg")]: analysisFor(950) })),
+    });
+    await runCli(parseCliArgs(["--rescan", tmpDir]), deps);
+
+    expect(deps.lookupCachedScores).not.toHaveBeenCalled();
+    expect(deps.analyze).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(deps.stdout.text).photos[0].score).toBe(900);
+  });
+
+  test("returns 1 for a missing folder", async () => {
+    const deps = fakeDeps({});
+    const code = await runCli(parseCliArgs(["/nonexistent/path/12345"]), deps);
+    expect(code).toBe(1);
+    expect(deps.stderr.text).toContain("Folder not found");
+    expect(deps.scanMultipleFolders).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,135 @@
+// Clusters near-duplicate photos (the same runner fired several times, or the
+// same file copied into two folders) by the perceptual hashes analyzeGray()
+// stores in each photo's `metrics`. Shared like bursts.js: exposed as
+// `DuplicateGrouping` in the renderer and via require in Node.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DuplicateGrouping = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  const HASH_BITS = 64;
+  // Percent of hash bits two frames must share to count as near-duplicates
+  const DEFAULT_SIMILARITY = 90;
+  const MIN_SIMILARITY = 50;
+
+  function popcount32(n) {
+    n -= (n >>> 1) & 0x55555555;
+    n = (n & 0x33333333) + ((n >>> 2) & 0x33333333);
+    return (((n + (n >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+  }
+
+  // 16 hex digits -> [high, low] 32-bit halves, or null
+  function hashWords(hex) {
+    if (typeof hex !== "string" || !/^[0-9a-f]{16}$/i.test(hex)) return null;
+    return [parseInt(hex.slice(0, 8), 16), parseInt(hex.slice(8), 16)];
+  }
+
+  function wordsDistance(a, b) {
+    return popcount32(a[0] ^ b[0]) + popcount32(a[1] ^ b[1]);
+  }
+
+  // Bits that differ between two hashes; Infinity if either is missing
+  function hashDistance(a, b) {
+    const wa = hashWords(a), wb = hashWords(b);
+    return wa && wb ? wordsDistance(wa, wb) : Infinity;
+  }
+
+  // Most bits two hashes may differ by at `similarity` percent
+  function maxDistance(similarity = DEFAULT_SIMILARITY) {
+    const s = Math.min(100, Math.max(MIN_SIMILARITY, Number(similarity) || DEFAULT_SIMILARITY));
+    return Math.round((HASH_BITS * (100 - s)) / 100);
+  }
+
+  // Past this many bands, each is too narrow to rule out many pairs and
+  // bucketing costs more than comparing every pair
+  const MAX_BANDS = 10;
+
+  function bitString(words) {
+    return words.map((w) => (w >>> 0).toString(2).padStart(32, "0")).join("");
+  }
+
+  function hashedPhotos(photos) {
+    const hashed = [];
+    for (const p of photos) {
+      const d = hashWords(p.metrics && p.metrics.dHash);
+      const ph = hashWords(p.metrics && p.metrics.pHash);
+      if (d && ph) hashed.push({ photo: p, d, ph });
+    }
+    return hashed;
+  }
+
+  // Groups of indices into `hashed` whose pairs need comparing. Hashes within
+  // `limit` bits of each other agree exactly on at least one of `limit + 1`
+  // bands of the dHash, so only photos sharing a band can match. Low
+  // similarities need too many bands for that to help; everyone is then one
+  // group and every pair is compared.
+  function candidateGroups(hashed, limit) {
+    const bands = limit + 1;
+    if (bands > MAX_BANDS) return [hashed.map((_h, i) => i)];
+    const buckets = new Map();
+    hashed.forEach((h, i) => {
+      const bits = bitString(h.d);
+      for (let b = 0; b < bands; b++) {
+        const key = b + ":" + bits.slice(Math.floor((b * HASH_BITS) / bands), Math.floor(((b + 1) * HASH_BITS) / bands));
+        const bucket = buckets.get(key);
+        if (bucket) bucket.push(i);
+        else buckets.set(key, [i]);
+      }
+    });
+    return [...buckets.values()].filter((bucket) => bucket.length > 1);
+  }
+
+  // Most pairs groupNearDuplicates compares for these photos
+  function countCandidatePairs(photos, { similarity = DEFAULT_SIMILARITY } = {}) {
+    return candidateGroups(hashedPhotos(photos), maxDistance(similarity))
+      .reduce((sum, group) => sum + (group.length * (group.length - 1)) / 2, 0);
+  }
+
+  // Returns clusters of two or more photos, in the order the photos came in.
+  // Both dHash and pHash must be within reach, which keeps frames that only
+  // share a layout (an empty stretch of course) apart. Linking is transitive,
+  // so a slow pan can chain into one cluster. Photos without hashes (failed
+  // or older analyses) are never clustered.
+  function groupNearDuplicates(photos, { similarity = DEFAULT_SIMILARITY } = {}) {
+    const limit = maxDistance(similarity);
+    const hashed = hashedPhotos(photos);
+
+    const parent = hashed.map((_h, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) i = parent[i] = parent[parent[i]];
+      return i;
+    };
+
+    for (const group of candidateGroups(hashed, limit)) {
+      for (let x = 0; x < group.length; x++) {
+        const i = group[x];
+        for (let y = x + 1; y < group.length; y++) {
+          const j = group[y];
+          if (find(i) === find(j)) continue;
+          if (wordsDistance(hashed[i].d, hashed[j].d) > limit) continue;
+          if (wordsDistance(hashed[i].ph, hashed[j].ph) > limit) continue;
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    hashed.forEach((h, i) => {
+      const root = find(i);
+      if (!clusters.has(root)) clusters.set(root, []);
+      clusters.get(root).push(h.photo);
+    });
+    return [...clusters.values()].filter((c) => c.length > 1);
+  }
+
+  return {
+    DEFAULT_SIMILARITY,
+    MIN_SIMILARITY,
+    hashDistance,
+    maxDistance,
+    countCandidatePairs,
+    groupNearDuplicates,
+  };
+});
@@ -0,0 +1,151 @@
+const {
+  DEFAULT_SIMILARITY,
+  hashDistance,
+  maxDistance,
+  countCandidatePairs,
+  groupNearDuplicates,
+} = require("./duplicates");
+
+function photo(name, score, dHash, pHash = dHash) {
+  return { name, path: `/shoot/${name}`, score, metrics: { dHash, pHash } };
+}
+
+const names = (clusters) => clusters.map((c) => c.map((p) => p.name));
+
+describe("hashDistance", () => {
+  test("counts differing bits", () => {
+    expect(hashDistance("0000000000000000", "0000000000000000")).toBe(0);
+    expect(hashDistance("0000000000000000", "000000000000000f")).toBe(4);
+    expect(hashDistance("8000000000000001", "0000000000000000")).toBe(2);
+    expect(hashDistance("ffffffffffffffff", "0000000000000000")).toBe(64);
+  });
+
+  test("is Infinity when a hash is missing or malformed", () => {
+    expect(hashDistance(undefined, "0000000000000000")).toBe(Infinity);
+    expect(hashDistance("abc", "0000000000000000")).toBe(Infinity);
+  });
+});
+
+describe("maxDistance", () => {
+  test("turns a similarity percentage into a bit budget", () => {
+    expect(maxDistance(100)).toBe(0);
+    expect(maxDistance(DEFAULT_SIMILARITY)).toBe(6);
+    expect(maxDistance(75)).toBe(16);
+  });
+
+  test("clamps out-of-range and unusable values", () => {
+    expect(maxDistance(10)).toBe(32);
+    expect(maxDistance(120)).toBe(0);
+    expect(maxDistance("nope")).toBe(maxDistance(DEFAULT_SIMILARITY));
+  });
+});
+
+describe("groupNearDuplicates", () => {
+  const photos = [
+    photo("a.jpg", 900, "0000000000000000"),
+    photo("b.jpg", 400, "0000000000000003"),
+    photo("c.jpg", 700, "ffffffffffffffff"),
+    photo("copy-of-c.jpg", 700, "ffffffffffffffff"),
+    photo("d.jpg", 500, "00000000ffffffff"),
+  ];
+
+  test("clusters close hashes and leaves singles out", () => {
+    expect(names(groupNearDuplicates(photos))).toEqual([["a.jpg", "b.jpg"], ["c.jpg", "copy-of-c.jpg"]]);
+  });
+
+  test("similarity decides how close is close enough", () => {
+    expect(names(groupNearDuplicates(photos, { similarity: 100 }))).toEqual([["c.jpg", "copy-of-c.jpg"]]);
+    expect(names(groupNearDuplicates(photos, { similarity: 50 }))).toEqual([["a.jpg", "b.jpg", "c.jpg", "copy-of-c.jpg", "d.jpg"]]);
+  });
+
+  test("needs both hashes to agree", () => {
+    const layoutOnly = [photo("x.jpg", 1, "0000000000000000", "0000000000000000"), photo("y.jpg", 1, "0000000000000000", "ffff0000ffff0000")];
+    expect(groupNearDuplicates(layoutOnly)).toEqual([]);
+  });
+
+  test("links transitively", () => {
+    const pan = [photo("1.jpg", 1, "0000000000000000"), photo("2.jpg", 1, "000000000000003f"), photo("3.jpg", 1, "0000000000000fff")];
+    expect(names(groupNearDuplicates(pan))).toEqual([["1.jpg", "2.jpg", "3.jpg"]]);
+  });
+
+  test("skips photos without hashes", () => {
+    const list = [photo("a.jpg", 1, "0000000000000000"), { name: "old.jpg", path: "/shoot/old.jpg", score: 1, metrics: { laplacian: 5 } }, { name: "err.jpg", path: "/shoot/err.jpg", score: -1, metrics: null }];
+    expect(groupNearDuplicates(list)).toEqual([]);
+  });
+
+  test("matches comparing every pair on a few thousand photos", () => {
+    // Seeded so a failure can be reproduced
+    let seed = 42;
+    const random = () => {
+      seed = (seed + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return (t ^ (t >>> 14)) >>> 0;
+    };
+    const hex = (hi, lo) => (hi >>> 0).toString(16).padStart(8, "0") + (lo >>> 0).toString(16).padStart(8, "0");
+    const flip = (h, bits) => {
+      let hi = parseInt(h.slice(0, 8), 16), lo = parseInt(h.slice(8), 16);
+      for (let k = 0; k < bits; k++) {
+        const bit = random() % 64;
+        if (bit < 32) hi ^= 1 << bit;
+        else lo ^= 1 << (bit - 32);
+      }
+      return hex(hi, lo);
+    };
+    const list = [];
+    for (let i = 0; i < 3000; i++) {
+      const base = i % 3 === 0 || list.length === 0 ? hex(random(), random()) : list[list.length - 1].metrics.dHash;
+      const d = flip(base, random() % 10);
+      list.push(photo(`${i}.jpg`, 1, d, flip(d, random() % 4)));
+    }
+
+    // Every pair, the slow way, with hashes parsed up front
+    const toWords = (h) => [parseInt(h.slice(0, 8), 16), parseInt(h.slice(8), 16)];
+    const bitCount = (n) => {
+      let c = 0;
+      for (; n; n &= n - 1) c++;
+      return c;
+    };
+    const distance = (a, b) => bitCount(a[0] ^ b[0]) + bitCount(a[1] ^ b[1]);
+    const words = list.map((p) => ({ d: toWords(p.metrics.dHash), p: toWords(p.metrics.pHash) }));
+
+    for (const similarity of [100, DEFAULT_SIMILARITY, 87, 80]) {
+      const limit = maxDistance(similarity);
+      const parent = list.map((_p, i) => i);
+      const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+      for (let i = 0; i < list.length; i++) {
+        for (let j = i + 1; j < list.length; j++) {
+          if (distance(words[i].d, words[j].d) <= limit && distance(words[i].p, words[j].p) <= limit) {
+            parent[find(j)] = find(i);
+          }
+        }
+      }
+      const expected = new Map();
+      list.forEach((p, i) => {
+        const root = find(i);
+        if (!expected.has(root)) expected.set(root, []);
+        expected.get(root).push(p.name);
+      });
+      const clusters = names(groupNearDuplicates(list, { similarity }));
+      expect(clusters.length).toBeGreaterThan(0);
+      expect(clusters).toEqual([...expected.values()].filter((c) => c.length > 1));
+    }
+  });
+
+  test("never checks more pairs than comparing every pair", () => {
+    let seed = 7;
+    const random = () => {
+      seed = (seed + 0x6D2B79F5) >>> 0;
+      let t = Math.imul(seed ^ (seed >>> 15), seed | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0).toString(16).padStart(8, "0");
+    };
+    const list = Array.from({ length: 2000 }, (_v, i) => photo(`${i}.jpg`, 1, random() + random()));
+    const allPairs = (list.length * (list.length - 1)) / 2;
+
+    expect(countCandidatePairs(list)).toBeLessThan(allPairs / 20);
+    for (const similarity of [87, 80, 65, 50]) {
+      expect(countCandidatePairs(list, { similarity })).toBeLessThanOrEqual(allPairs);
+    }
+  });
+});
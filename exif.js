@@ -0,0 +1,185 @@
+// Minimal EXIF reader: pulls shooting settings, camera and capture time out
+// of a JPEG's APP1 "Exif" segment, or the TIFF structures at the start of a
+// RAW file. No MakerNote parsing.
+
+const EXIF_HEADER = Buffer.from("Exif\0\0", "latin1");
+
+// Enough to reach an APP1 segment that follows a JFIF APP0 header
+const EXIF_READ_BYTES = 0x10000 + 0x400;
+
+const IFD0_TAGS = {
+  0x010F: "make",
+  0x0110: "model",
+  0x0112: "orientation",
+};
+
+const EXIF_IFD_TAGS = {
+  0x829A: "exposureTime",
+  0x829D: "fNumber",
+  0x8827: "iso",
+  0x9003: "dateTimeOriginal",
+  0x9011: "offsetTimeOriginal",
+  0x9291: "subSecTimeOriginal",
+  0x920A: "focalLength",
+  0xA431: "serial",
+  0xA434: "lensModel",
+};
+
+const EXIF_IFD_POINTER = 0x8769;
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+function readValue(tiff, le, type, count, valueOffset) {
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  const s32 = (o) => (le ? tiff.readInt32LE(o) : tiff.readInt32BE(o));
+
+  switch (type) {
+    case 2: // ASCII
+      return tiff.toString("latin1", valueOffset, valueOffset + count).replace(/\0[\s\S]*$/, "").trim();
+    case 1:
+    case 7:
+      return tiff[valueOffset];
+    case 3:
+      return u16(valueOffset);
+    case 4:
+      return u32(valueOffset);
+    case 9:
+      return s32(valueOffset);
+    case 5: {
+      const den = u32(valueOffset + 4);
+      return den === 0 ? null : u32(valueOffset) / den;
+    }
+    case 10: {
+      const den = s32(valueOffset + 4);
+      return den === 0 ? null : s32(valueOffset) / den;
+    }
+    default:
+      return null;
+  }
+}
+
+function readIfd(tiff, le, offset, tags, out) {
+  const u16 = (o) => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+  const u32 = (o) => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+  let exifIfd = null;
+
+  const count = u16(offset);
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > tiff.length) break;
+    const tag = u16(entry);
+    const type = u16(entry + 2);
+    const n = u32(entry + 4);
+    if (tag === EXIF_IFD_POINTER) {
+      exifIfd = u32(entry + 8);
+      continue;
+    }
+    if (!tags[tag] || !TYPE_SIZES[type]) continue;
+    const size = TYPE_SIZES[type] * n;
+    const valueOffset = size <= 4 ? entry + 8 : u32(entry + 8);
+    if (valueOffset + size > tiff.length) continue;
+    out[tags[tag]] = readValue(tiff, le, type, n, valueOffset);
+  }
+  return exifIfd;
+}
+
+// Raw tag values from a TIFF structure (an Exif APP1 payload or a RAW file).
+// `ifd0Tags` names the tags expected in its first IFD.
+function parseTiff(tiff, ifd0Tags = IFD0_TAGS, raw = {}) {
+  const order = tiff.toString("latin1", 0, 2);
+  if (order !== "II" && order !== "MM") return null;
+  const le = order === "II";
+  const ifd0 = le ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4);
+
+  const exifIfd = readIfd(tiff, le, ifd0, ifd0Tags, raw);
+  if (exifIfd !== null && exifIfd < tiff.length) readIfd(tiff, le, exifIfd, EXIF_IFD_TAGS, raw);
+  return raw;
+}
+
+// "2024:05:01 10:15:30" (+ sub-seconds) as a wall-clock timestamp. The
+// camera's time zone is deliberately ignored: bodies at one event share a
+// local clock, which is what sorting and burst grouping need.
+function parseExifDate(dateTime, subSec) {
+  const m = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(dateTime || "");
+  // Cameras without a set clock write all zeros
+  if (!m || +m[2] === 0) return null;
+  const frac = subSec && /^\d+$/.test(subSec) ? Number(`0.${subSec}`) : 0;
+  const ms = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]) + Math.round(frac * 1000);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function normalizeExif(raw) {
+  const captureTimeMs = parseExifDate(raw.dateTimeOriginal, raw.subSecTimeOriginal);
+  return {
+    make: raw.make || null,
+    model: raw.model || null,
+    serial: raw.serial || null,
+    lens: raw.lensModel || null,
+    exposureTime: raw.exposureTime ?? null,
+    fNumber: raw.fNumber ?? null,
+    iso: raw.iso ?? null,
+    focalLength: raw.focalLength ?? null,
+    orientation: raw.orientation ?? null,
+    captureTime: captureTimeMs === null ? null : new Date(captureTimeMs).toISOString().replace("Z", ""),
+    captureTimeMs,
+    offsetTime: raw.offsetTimeOriginal || null,
+  };
+}
+
+// EXIF from the start of a JPEG file (at least up to its APP1 segment).
+// Returns null when there is no readable Exif segment.
+function parseJpegExif(buf) {
+  if (buf.length < 4 || buf[0] !== 0xFF || buf[1] !== 0xD8) return null;
+  let offset = 2;
+  try {
+    while (offset + 4 <= buf.length && buf[offset] === 0xFF) {
+      const marker = buf[offset + 1];
+      if (marker === 0xFF) { offset++; continue; }
+      if (marker === 0xDA || marker === 0xD9) return null;
+      const length = buf.readUInt16BE(offset + 2);
+      const start = offset + 4;
+      if (marker === 0xE1 && buf.subarray(start, start + EXIF_HEADER.length).equals(EXIF_HEADER)) {
+        const tiff = buf.subarray(start + EXIF_HEADER.length, Math.min(buf.length, offset + 2 + length));
+        const raw = parseTiff(tiff);
+        return raw ? normalizeExif(raw) : null;
+      }
+      offset += 2 + length;
+    }
+  } catch {
+    // Truncated or malformed TIFF structure
+  }
+  return null;
+}
+
+// Payload of the first ISO media box of `type` (e.g. "CMT1"), or null
+function findBox(buf, type) {
+  const at = buf.indexOf(type, 0, "latin1");
+  if (at < 4) return null;
+  const size = buf.readUInt32BE(at - 4);
+  if (size < 8) return null;
+  return buf.subarray(at + 4, Math.min(buf.length, at - 4 + size));
+}
+
+// EXIF from the start of a RAW file. NEF and ARW are TIFF files; CR3 is ISO
+// media with IFD0 and the Exif IFD as separate TIFF blocks in CMT1 and CMT2.
+function parseRawExif(buf) {
+  try {
+    if (buf.length >= 12 && buf.toString("latin1", 4, 8) === "ftyp") {
+      const cmt1 = findBox(buf, "CMT1");
+      if (!cmt1) return null;
+      const raw = parseTiff(cmt1);
+      if (!raw) return null;
+      const cmt2 = findBox(buf, "CMT2");
+      if (cmt2) parseTiff(cmt2, EXIF_IFD_TAGS, raw);
+      return normalizeExif(raw);
+    }
+    const raw = buf.length >= 8 ? parseTiff(buf) : null;
+    return raw ? normalizeExif(raw) : null;
+  } catch {
+    // Truncated or malformed structure
+    return null;
+  }
+}
+
+module.exports = { EXIF_READ_BYTES, parseJpegExif, parseRawExif, parseExifDate };
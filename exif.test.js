@@ -0,0 +1,177 @@
+const { parseJpegExif, parseRawExif, parseExifDate } = require("./exif");
+
+// Builds a JPEG with an Exif APP1 segment. `ifd0` and `exif` map tag numbers
+// to [type, value]; ASCII values are strings, RATIONAL values [num, den].
+function buildExifJpeg({ ifd0 = {}, exif = {}, littleEndian = true, jfif = false }) {
+  const le = littleEndian;
+  const u16 = (v) => { const b = Buffer.alloc(2); le ? b.writeUInt16LE(v) : b.writeUInt16BE(v); return b; };
+  const u32 = (v) => { const b = Buffer.alloc(4); le ? b.writeUInt32LE(v) : b.writeUInt32BE(v); return b; };
+
+  function encode(type, value) {
+    if (type === 2) return Buffer.from(value + "\0", "latin1");
+    if (type === 3) return u16(value);
+    if (type === 4) return u32(value);
+    if (type === 5) return Buffer.concat([u32(value[0]), u32(value[1])]);
+    throw new Error(`unsupported type ${type}`);
+  }
+
+  // Lays out an IFD at `offset`, with out-of-line values right after it
+  function ifd(entries, offset) {
+    const tags = Object.keys(entries).map(Number).sort((a, b) => a - b);
+    const headerSize = 2 + tags.length * 12 + 4;
+    let dataOffset = offset + headerSize;
+    const head = [u16(tags.length)];
+    const data = [];
+    for (const tag of tags) {
+      const [type, value] = entries[tag];
+      const bytes = encode(type, value);
+      const count = type === 2 ? bytes.length : 1;
+      head.push(u16(tag), u16(type), u32(count));
+      if (bytes.length <= 4) {
+        head.push(Buffer.concat([bytes, Buffer.alloc(4 - bytes.length)]));
+      } else {
+        head.push(u32(dataOffset));
+        data.push(bytes);
+        dataOffset += bytes.length;
+      }
+    }
+    head.push(u32(0));
+    return Buffer.concat([...head, ...data]);
+  }
+
+  const ifd0Entries = { ...ifd0 };
+  const hasExif = Object.keys(exif).length > 0;
+  if (hasExif) ifd0Entries[0x8769] = [4, 0];
+  let ifd0Buf = ifd(ifd0Entries, 8);
+  if (hasExif) {
+    ifd0Entries[0x8769] = [4, 8 + ifd0Buf.length];
+    ifd0Buf = ifd(ifd0Entries, 8);
+  }
+  const exifBuf = hasExif ? ifd(exif, 8 + ifd0Buf.length) : Buffer.alloc(0);
+
+  const tiff = Buffer.concat([Buffer.from(le ? "II" : "MM", "latin1"), u16(42), u32(8), ifd0Buf, exifBuf]);
+  const payload = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff]);
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(payload.length + 2);
+  const app0 = jfif ? Buffer.from([0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46]) : Buffer.alloc(0);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, Buffer.from([0xFF, 0xE1]), len, payload, Buffer.from([0xFF, 0xDA, 0x00, 0x02, 0xFF, 0xD9])]);
+}
+
+const TYPICAL = {
+  ifd0: {
+    0x010F: [2, "Canon"],
+    0x0110: [2, "Canon EOS R5"],
+    0x0112: [3, 1],
+  },
+  exif: {
+    0x829A: [5, [1, 1000]],
+    0x829D: [5, [28, 10]],
+    0x8827: [3, 3200],
+    0x9003: [2, "2024:04:21 09:15:30"],
+    0x9291: [2, "45"],
+    0x920A: [5, [200, 1]],
+    0xA431: [2, "012345678"],
+    0xA434: [2, "RF70-200mm F2.8 L IS USM"],
+  },
+};
+
+describe("parseJpegExif", () => {
+  test("reads shooting settings, camera and capture time", () => {
+    const exif = parseJpegExif(buildExifJpeg(TYPICAL));
+    expect(exif).toEqual({
+      make: "Canon",
+      model: "Canon EOS R5",
+      serial: "012345678",
+      lens: "RF70-200mm F2.8 L IS USM",
+      exposureTime: 0.001,
+      fNumber: 2.8,
+      iso: 3200,
+      focalLength: 200,
+      orientation: 1,
+      captureTime: "2024-04-21T09:15:30.450",
+      captureTimeMs: Date.UTC(2024, 3, 21, 9, 15, 30, 450),
+      offsetTime: null,
+    });
+  });
+
+  test("reads big-endian (Motorola) TIFF data", () => {
+    const exif = parseJpegExif(buildExifJpeg({ ...TYPICAL, littleEndian: false }));
+    expect(exif.model).toBe("Canon EOS R5");
+    expect(exif.iso).toBe(3200);
+    expect(exif.exposureTime).toBe(0.001);
+  });
+
+  test("finds the Exif segment after a JFIF APP0 header", () => {
+    const exif = parseJpegExif(buildExifJpeg({ ...TYPICAL, jfif: true }));
+    expect(exif.fNumber).toBe(2.8);
+  });
+
+  test("returns nulls for missing tags", () => {
+    const exif = parseJpegExif(buildExifJpeg({ ifd0: { 0x0110: [2, "X-T4"] } }));
+    expect(exif.model).toBe("X-T4");
+    expect(exif.iso).toBeNull();
+    expect(exif.captureTimeMs).toBeNull();
+    expect(exif.captureTime).toBeNull();
+  });
+
+  test("returns null for a JPEG without Exif", () => {
+    expect(parseJpegExif(Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x02, 0xFF, 0xD9]))).toBeNull();
+  });
+
+  test("returns null for non-JPEG data", () => {
+    expect(parseJpegExif(Buffer.from("not a jpeg at all"))).toBeNull();
+  });
+
+  test("survives a truncated segment", () => {
+    const full = buildExifJpeg(TYPICAL);
+    expect(() => parseJpegExif(full.subarray(0, 40))).not.toThrow();
+  });
+});
+
+// The TIFF structure of a buildExifJpeg() image, as found at the start of a NEF or ARW
+const tiffOf = (jpeg) => jpeg.subarray(2 + 4 + 6);
+
+function isoBox(type, payload) {
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(payload.length + 8);
+  return Buffer.concat([size, Buffer.from(type, "latin1"), payload]);
+}
+
+describe("parseRawExif", () => {
+  test("reads TIFF-based RAW files (NEF, ARW)", () => {
+    const exif = parseRawExif(Buffer.concat([tiffOf(buildExifJpeg(TYPICAL)), Buffer.alloc(64)]));
+    expect(exif.model).toBe("Canon EOS R5");
+    expect(exif.iso).toBe(3200);
+    expect(exif.captureTimeMs).toBe(Date.UTC(2024, 3, 21, 9, 15, 30, 450));
+  });
+
+  test("reads CR3 metadata from the CMT1 and CMT2 boxes", () => {
+    const cr3 = Buffer.concat([
+      isoBox("ftyp", Buffer.from("crx \0\0\0\x01crx isom", "latin1")),
+      isoBox("CMT1", tiffOf(buildExifJpeg({ ifd0: TYPICAL.ifd0 }))),
+      isoBox("CMT2", tiffOf(buildExifJpeg({ ifd0: TYPICAL.exif, littleEndian: false }))),
+    ]);
+    const exif = parseRawExif(cr3);
+    expect(exif.make).toBe("Canon");
+    expect(exif.exposureTime).toBe(0.001);
+    expect(exif.serial).toBe("012345678");
+  });
+
+  test("returns null for unknown or truncated data", () => {
+    expect(parseRawExif(Buffer.from("not a raw file at all"))).toBeNull();
+    expect(parseRawExif(isoBox("ftyp", Buffer.from("crx ", "latin1")))).toBeNull();
+    expect(() => parseRawExif(tiffOf(buildExifJpeg(TYPICAL)).subarray(0, 20))).not.toThrow();
+  });
+});
+
+describe("parseExifDate", () => {
+  test("parses wall-clock time with sub-seconds", () => {
+    expect(parseExifDate("2024:04:21 09:15:30", "5")).toBe(Date.UTC(2024, 3, 21, 9, 15, 30, 500));
+  });
+
+  test("returns null for blank or malformed dates", () => {
+    expect(parseExifDate("0000:00:00 00:00:00")).toBeNull();
+    expect(parseExifDate("    :  :     :  :  ")).toBeNull();
+    expect(parseExifDate(undefined)).toBeNull();
+  });
+});
@@ -1,9 +1,21 @@
 const { app, BrowserWindow, ipcMain, dialog, nativeImage, shell, Menu } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
+const { USAGE, parseCliArgs, runCli } = require("./cli");
+const { engineSettingsKey } = require("./scoring");
+const { xmpFields, createXmp, mergeXmp, embedXmp } = require("./xmp");
+const { EXIF_READ_BYTES, parseJpegExif, parseRawExif } = require("./exif");
+const { isRawFile, findEmbeddedJpegInFile } = require("./raw");
+const { normalizeScanOptions, matchesAny, passesScanRules } = require("./scan-rules");
+const { buildReport, movedPath, formatReport } = require("./report");
 
 let mainWindow;
 
+// `electron . --cli <folders...>` scores without opening the GUI
+const cliIndex = process.argv.indexOf("--cli");
+const cliOptions = cliIndex === -1 ? null : parseCliArgs(process.argv.slice(cliIndex + 1));
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -23,33 +35,67 @@ function createWindow() {
   mainWindow.loadFile("index.html");
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(removeLegacyScoreCache);
 
-app.on("window-all-closed", () => {
-  if (process.platform !== "darwin") app.quit();
-});
+if (cliOptions) {
+  app.whenReady().then(runHeadless);
+} else {
+  app.whenReady().then(createWindow);
 
-app.on("activate", () => {
-  if (BrowserWindow.getAllWindows().length === 0) createWindow();
-});
+  app.on("window-all-closed", () => {
+    if (process.platform !== "darwin") app.quit();
+  });
+
+  app.on("activate", () => {
+    if (BrowserWindow.getAllWindows().length === 0) createWindow();
+  });
+}
 
 // ── Handler Logic (exported for testing) ─────────────────────
 
-async function scanJpegs(folderPath) {
+const JPEG_PATTERN = /\.(jpe?g)$/i;
+
+// "IMG_0001.CR3" and "img_0001.jpg" share the key "img_0001"
+function basenameKey(name) {
+  return name.slice(0, name.length - path.extname(name).length).toLowerCase();
+}
+
+// JPEGs and RAW files. A RAW with a same-named JPEG is not listed itself but
+// as one of the JPEG's `companions`; a RAW on its own is flagged `raw` and
+// shown through its embedded preview (see withRawPreviews). Files `accepts`
+// turns down are left out before pairing, so they are neither photos nor
+// companions.
+async function scanJpegs(folderPath, accepts = null) {
   try {
     const entries = await fs.promises.readdir(folderPath, { withFileTypes: true });
-    const jpegs = [];
+    const files = [];
     for (const e of entries) {
-      if (!e.isFile() || !/\.(jpe?g)$/i.test(e.name) || e.name.startsWith(".")) continue;
+      if (!e.isFile() || e.name.startsWith(".")) continue;
+      const raw = isRawFile(e.name);
+      if (!raw && !JPEG_PATTERN.test(e.name)) continue;
+      if (accepts && !accepts(e.name)) continue;
+      let stat;
       try {
-        const stat = await fs.promises.stat(path.join(folderPath, e.name));
+        stat = await fs.promises.stat(path.join(folderPath, e.name));
         if (stat.size === 0) continue;
       } catch {
         continue;
       }
-      jpegs.push({ name: e.name, path: path.join(folderPath, e.name) });
+      const file = { name: e.name, path: path.join(folderPath, e.name), size: stat.size, mtimeMs: stat.mtimeMs };
+      if (raw) file.raw = true;
+      files.push(file);
+    }
+
+    const jpegsByKey = new Map();
+    for (const f of files) {
+      if (!f.raw && !jpegsByKey.has(basenameKey(f.name))) jpegsByKey.set(basenameKey(f.name), f);
     }
-    return jpegs;
+    return files.filter((f) => {
+      const partner = f.raw && jpegsByKey.get(basenameKey(f.name));
+      if (!partner) return true;
+      partner.companions = [...(partner.companions || []), f.path];
+      return false;
+    });
   } catch (err) {
     return { error: err.message };
   }
@@ -82,10 +128,79 @@ async function validateJpeg(filePath) {
   }
 }
 
-async function scanMultipleFolders(folderPaths) {
+async function readExif(filePath) {
+  try {
+    const fd = await fs.promises.open(filePath, "r");
+    try {
+      const buf = Buffer.alloc(EXIF_READ_BYTES);
+      const { bytesRead } = await fd.read(buf, 0, buf.length, 0);
+      const head = buf.subarray(0, bytesRead);
+      return isRawFile(filePath) ? parseRawExif(head) : parseJpegExif(head);
+    } finally {
+      await fd.close();
+    }
+  } catch {
+    return null;
+  }
+}
+
+// EXIF for many files at once, keyed by path (null where there is none)
+async function readExifBatch(filePaths) {
+  const exif = {};
+  const CONCURRENCY = 16;
+  for (let i = 0; i < filePaths.length; i += CONCURRENCY) {
+    const chunk = filePaths.slice(i, i + CONCURRENCY);
+    const results = await Promise.all(chunk.map(readExif));
+    chunk.forEach((p, j) => { exif[p] = results[j]; });
+  }
+  return exif;
+}
+
+const REVIEW_FOLDER_NAME = "review_blurry";
+
+// Folders this app moved photos into: the default review folder, or any
+// folder holding a move journal (a custom destination)
+function isReviewFolder(dirPath) {
+  return path.basename(dirPath) === REVIEW_FOLDER_NAME || fs.existsSync(path.join(dirPath, JOURNAL_FILE));
+}
+
+// Photos in `root` and, with `recursive`, its subfolders down to `maxDepth`
+// levels. Each gets `root` and its `subfolder` relative to it ("" at the top,
+// "DCIM/100CANON" below). Hidden and review folders are never entered.
+async function scanFolderTree(root, options) {
+  const { recursive, maxDepth, include, exclude } = normalizeScanOptions(options);
+  const rules = (subfolder) => (name) => passesScanRules(subfolder ? `${subfolder}/${name}` : name, { include, exclude });
+  const top = await scanJpegs(root, rules(""));
+  if (!Array.isArray(top)) return top;
+
+  const results = [];
+  const walk = async (dir, subfolder, found, depth) => {
+    for (const f of found) results.push({ ...f, root, subfolder });
+    if (!recursive || depth >= maxDepth) return;
+
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    const dirs = entries.filter((e) => e.isDirectory() && !e.name.startsWith(".")).map((e) => e.name).sort();
+    for (const name of dirs) {
+      const child = path.join(dir, name);
+      const childRel = subfolder ? `${subfolder}/${name}` : name;
+      if (isReviewFolder(child) || matchesAny(childRel, exclude)) continue;
+      const childFiles = await scanJpegs(child, rules(childRel));
+      if (Array.isArray(childFiles)) await walk(child, childRel, childFiles, depth + 1);
+    }
+  };
+  await walk(root, "", top, 0);
+  return results;
+}
+
+async function scanMultipleFolders(folderPaths, options) {
   const results = [];
   for (const folder of folderPaths) {
-    const jpegs = await scanJpegs(folder);
+    const jpegs = await scanFolderTree(folder, options);
     if (Array.isArray(jpegs)) {
       results.push(...jpegs);
     }
@@ -93,6 +208,53 @@ async function scanMultipleFolders(folderPaths) {
   return results;
 }
 
+// ── RAW Previews ──────────────────────────────────────────────
+// A RAW file without a JPEG partner is scored and shown through its embedded
+// preview, extracted once into userData and reused while the RAW is unchanged.
+
+function rawPreviewDir() {
+  return path.join(app.getPath("userData"), "raw-previews");
+}
+
+async function extractRawPreview(file, previewDir) {
+  const key = crypto.createHash("sha1").update(`${file.path}:${file.size}:${file.mtimeMs}`).digest("hex");
+  const previewPath = path.join(previewDir, `${key}.jpg`);
+  if (fs.existsSync(previewPath)) return previewPath;
+
+  const handle = await fs.promises.open(file.path, "r");
+  try {
+    const { size } = await handle.stat();
+    const jpeg = await findEmbeddedJpegInFile(handle, size);
+    if (!jpeg) return null;
+    const buf = Buffer.alloc(jpeg.end - jpeg.start);
+    await handle.read(buf, 0, buf.length, jpeg.start);
+    await fs.promises.mkdir(previewDir, { recursive: true });
+    await writeFileAtomic(previewPath, buf);
+    return previewPath;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Adds `previewPath` to lone RAW files. Those without a usable preview are
+// left out, just like unreadable JPEGs.
+async function withRawPreviews(files, previewDir) {
+  const result = [];
+  for (const f of files) {
+    if (!f.raw) {
+      result.push(f);
+      continue;
+    }
+    try {
+      const previewPath = await extractRawPreview(f, previewDir);
+      if (previewPath) result.push({ ...f, previewPath });
+    } catch {
+      // Unreadable RAW: skip it
+    }
+  }
+  return result;
+}
+
 function estimateScanTime(remainingFiles, avgMsPerFile) {
   const estimatedMs = remainingFiles * avgMsPerFile;
   let formatted;
@@ -111,22 +273,300 @@ function estimateScanTime(remainingFiles, avgMsPerFile) {
   return { estimatedMs, formatted };
 }
 
+// The image scaled so its longer side is `maxDimension`, or { error }
+function resizeImage(filePath, maxDimension) {
+  const img = nativeImage.createFromPath(filePath);
+  if (img.isEmpty()) {
+    return { error: "could not load image" };
+  }
+  const size = img.getSize();
+  return size.width >= size.height
+    ? img.resize({ width: maxDimension })
+    : img.resize({ height: maxDimension });
+}
+
 function generateThumbnail(filePath, maxDimension) {
   try {
-    const img = nativeImage.createFromPath(filePath);
-    if (img.isEmpty()) {
-      return { error: "could not load image" };
-    }
-    const size = img.getSize();
-    const resized = size.width >= size.height
-      ? img.resize({ width: maxDimension })
-      : img.resize({ height: maxDimension });
+    const resized = resizeImage(filePath, maxDimension);
+    if (resized.error) return resized;
     return `data:image/png;base64,${resized.toPNG().toString("base64")}`;
   } catch (err) {
     return { error: err.message };
   }
 }
 
+// ── Thumbnail Cache ───────────────────────────────────────────
+// The grid and contact sheets show small JPEGs instead of decoding every
+// full-size photo. They are made in the background (for the grid, by a
+// worker in the renderer) and kept in userData,
+// keyed by the start of the file's content, its size and mtime, so a moved
+// photo keeps its thumbnails and an edited one gets new ones. Requested sizes
+// are rounded up to one of THUMBNAIL_SIZES.
+
+const THUMBNAIL_SIZES = [320, 640, 1280];
+const THUMBNAIL_QUALITY = 80;
+const THUMBNAIL_KEY_BYTES = 16 * 1024;
+const THUMBNAIL_BATCH_MS = 250;
+
+function thumbnailCacheDir() {
+  return path.join(app.getPath("userData"), "thumbnails");
+}
+
+function thumbnailSize(maxDimension) {
+  return THUMBNAIL_SIZES.find((s) => s >= maxDimension) || THUMBNAIL_SIZES[THUMBNAIL_SIZES.length - 1];
+}
+
+async function thumbnailKey(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size, mtimeMs } = await handle.stat();
+    const head = Buffer.alloc(Math.min(size, THUMBNAIL_KEY_BYTES));
+    await handle.read(head, 0, head.length, 0);
+    return crypto.createHash("sha1").update(head).update(`:${size}:${mtimeMs}`).digest("hex");
+  } finally {
+    await handle.close();
+  }
+}
+
+function thumbnailFile(cacheDir, key, size) {
+  return path.join(cacheDir, `${key}-${size}.jpg`);
+}
+
+// Path of the cached thumbnail, made first if needed, or { error }. Decodes
+// on this process, so it's only for one-off work like contact sheets; the
+// grid goes through createThumbnailQueue.
+async function cachedThumbnail(cacheDir, filePath, maxDimension) {
+  try {
+    const size = thumbnailSize(maxDimension);
+    const thumbPath = thumbnailFile(cacheDir, await thumbnailKey(filePath), size);
+    if (fs.existsSync(thumbPath)) return thumbPath;
+    const resized = resizeImage(filePath, size);
+    if (resized.error) return resized;
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+    await writeFileAtomic(thumbPath, resized.toJPEG(THUMBNAIL_QUALITY));
+    return thumbPath;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Saves a thumbnail the renderer made for a queue miss. Returns its path or
+// { error }.
+async function storeThumbnail(cacheDir, key, size, data) {
+  if (!/^[0-9a-f]{40}$/.test(key) || !THUMBNAIL_SIZES.includes(size)) return { error: "invalid thumbnail" };
+  try {
+    await fs.promises.mkdir(cacheDir, { recursive: true });
+    const thumbPath = thumbnailFile(cacheDir, key, size);
+    await writeFileAtomic(thumbPath, Buffer.from(data));
+    return thumbPath;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// Looks `{ path, source }` items up one at a time and reports `{ path,
+// thumbnail }` in batches. Only cache file I/O happens here: a miss comes
+// back with a null thumbnail plus the `source`, `key` and `size` the renderer
+// decodes it from and hands to storeThumbnail. Files that can't be read get
+// a null thumbnail alone. `add` resolves once the queue runs dry.
+function createThumbnailQueue(cacheDir, onThumbnails, { batchMs = THUMBNAIL_BATCH_MS } = {}) {
+  let pending = [];
+  let running = null;
+  let batch = [];
+  let lastFlush = Date.now();
+
+  const flush = () => {
+    if (batch.length > 0) onThumbnails(batch);
+    batch = [];
+    lastFlush = Date.now();
+  };
+
+  async function lookup({ path: photoPath, source, maxDimension }) {
+    try {
+      const key = await thumbnailKey(source);
+      const size = thumbnailSize(maxDimension);
+      const thumbPath = thumbnailFile(cacheDir, key, size);
+      if (fs.existsSync(thumbPath)) return { path: photoPath, thumbnail: thumbPath };
+      return { path: photoPath, thumbnail: null, source, key, size };
+    } catch {
+      return { path: photoPath, thumbnail: null };
+    }
+  }
+
+  async function run() {
+    while (pending.length > 0) {
+      batch.push(await lookup(pending.shift()));
+      if (Date.now() - lastFlush >= batchMs) flush();
+    }
+    flush();
+    running = null;
+  }
+
+  return {
+    add(items, maxDimension) {
+      pending.push(...items.map((item) => ({ ...item, maxDimension })));
+      if (!running) running = run();
+      return running;
+    },
+    clear() {
+      pending = [];
+    },
+  };
+}
+
+async function thumbnailCacheSize(cacheDir) {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(cacheDir, { withFileTypes: true });
+  } catch {
+    return { files: 0, bytes: 0 };
+  }
+  let bytes = 0, files = 0;
+  for (const entry of entries) {
+    if (!entry.isFile()) continue;
+    try {
+      bytes += (await fs.promises.stat(path.join(cacheDir, entry.name))).size;
+      files++;
+    } catch {
+      // Removed meanwhile
+    }
+  }
+  return { files, bytes };
+}
+
+// Returns what was removed
+async function clearThumbnailCache(cacheDir) {
+  try {
+    const removed = await thumbnailCacheSize(cacheDir);
+    await fs.promises.rm(cacheDir, { recursive: true, force: true });
+    return removed;
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+// ── Score Cache ───────────────────────────────────────────────
+// One shard per source folder, with one entry per file. Its scores only count
+// while the file's size and mtime still match, and are stored per
+// engineSettingsKey() so changing engine settings never returns a stale
+// score. Storing prunes entries for files that are gone from the folder.
+
+// Entries hold each photo's analysis result (every metric, the exposure
+// stats and the perceptual hashes) per engine settings key
+const SCORE_CACHE_VERSION = 4;
+
+function scoreCacheDir() {
+  return path.join(app.getPath("userData"), "score-cache");
+}
+
+// Before shards, every score lived in one file
+function removeLegacyScoreCache() {
+  return fs.promises.rm(path.join(app.getPath("userData"), "score-cache.json"), { force: true }).catch(() => {});
+}
+
+function scoreCacheShard(cacheDir, folder) {
+  return path.join(cacheDir, crypto.createHash("sha1").update(folder).digest("hex") + ".json");
+}
+
+function groupByFolder(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const folder = path.dirname(item.path);
+    if (!groups.has(folder)) groups.set(folder, []);
+    groups.get(folder).push(item);
+  }
+  return groups;
+}
+
+async function readScoreCache(shardFile) {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(shardFile, "utf8"));
+    if (data && data.version === SCORE_CACHE_VERSION && data.entries) return data;
+  } catch {
+    // Missing or corrupt shard: start over
+  }
+  return { version: SCORE_CACHE_VERSION, entries: {} };
+}
+
+async function lookupCachedScores(cacheDir, files, settingsKey) {
+  const hits = {};
+  for (const [folder, group] of groupByFolder(files)) {
+    const cache = await readScoreCache(scoreCacheShard(cacheDir, folder));
+    for (const f of group) {
+      const entry = cache.entries[path.basename(f.path)];
+      if (entry && entry.size === f.size && entry.mtimeMs === f.mtimeMs && Object.hasOwn(entry.scores, settingsKey)) {
+        hits[f.path] = entry.scores[settingsKey];
+      }
+    }
+  }
+  return hits;
+}
+
+// Writes to one shard run one after another, so overlapping stores (a scan
+// and the folder watcher) don't drop each other's entries
+const shardWrites = new Map();
+
+function updateShard(shardFile, update) {
+  const next = (shardWrites.get(shardFile) || Promise.resolve()).catch(() => {}).then(update);
+  shardWrites.set(shardFile, next);
+  return next;
+}
+
+async function storeShard(shardFile, folder, results, settingsKey) {
+  const cache = await readScoreCache(shardFile);
+  let stored = 0;
+  const touched = new Set();
+  for (const r of results) {
+    // Failed analyses may be transient (e.g. a half-copied file), so never cache them
+    const failed = typeof r.score === "number" ? r.score < 0 : !r.score;
+    if (failed) continue;
+    const name = path.basename(r.path);
+    let entry = cache.entries[name];
+    if (!entry || entry.size !== r.size || entry.mtimeMs !== r.mtimeMs) {
+      entry = cache.entries[name] = { size: r.size, mtimeMs: r.mtimeMs, scores: {} };
+    }
+    entry.scores[settingsKey] = r.score;
+    touched.add(name);
+    stored++;
+  }
+
+  let present = null;
+  try {
+    present = new Set(await fs.promises.readdir(folder));
+  } catch {
+    // Folder unreadable right now: keep every entry
+  }
+  if (present) {
+    for (const name of Object.keys(cache.entries)) {
+      if (!touched.has(name) && !present.has(name)) delete cache.entries[name];
+    }
+  }
+
+  await fs.promises.mkdir(path.dirname(shardFile), { recursive: true });
+  const tmp = `${shardFile}.${process.pid}-${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.promises.writeFile(tmp, JSON.stringify({ ...cache, folder }));
+    await fs.promises.rename(tmp, shardFile);
+  } catch (err) {
+    await fs.promises.rm(tmp, { force: true });
+    throw err;
+  }
+  return stored;
+}
+
+async function storeCachedScores(cacheDir, results, settingsKey) {
+  try {
+    let stored = 0;
+    for (const [folder, group] of groupByFolder(results)) {
+      const shardFile = scoreCacheShard(cacheDir, folder);
+      stored += await updateShard(shardFile, () => storeShard(shardFile, folder, group, settingsKey));
+    }
+    return { stored };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
 // ── IPC Handlers ──────────────────────────────────────────────
 
 ipcMain.handle("select-folder", async () => {
@@ -145,16 +585,53 @@ ipcMain.handle("select-folders", async () => {
   return result.filePaths;
 });
 
-ipcMain.handle("scan-jpegs", async (_event, folderPath) => scanJpegs(folderPath));
+ipcMain.handle("scan-jpegs", async (_event, folderPath) => {
+  const files = await scanJpegs(folderPath);
+  return Array.isArray(files) ? withRawPreviews(files, rawPreviewDir()) : files;
+});
 
-ipcMain.handle("scan-multiple-folders", async (_event, folderPaths) => scanMultipleFolders(folderPaths));
+ipcMain.handle("scan-multiple-folders", async (_event, folderPaths, options) =>
+  withRawPreviews(await scanMultipleFolders(folderPaths, options), rawPreviewDir()));
 
 ipcMain.handle("read-file-base64", async (_event, filePath) => readFileBase64(filePath));
 
 ipcMain.handle("validate-jpeg", async (_event, filePath) => validateJpeg(filePath));
 
+ipcMain.handle("read-exif", async (_event, filePaths) => readExifBatch(filePaths));
+
+ipcMain.handle("lookup-cached-scores", async (_event, files, settingsKey) => lookupCachedScores(scoreCacheDir(), files, settingsKey));
+
+ipcMain.handle("store-cached-scores", async (_event, results, settingsKey) => storeCachedScores(scoreCacheDir(), results, settingsKey));
+
 ipcMain.handle("generate-thumbnail", async (_event, filePath, maxDimension) => generateThumbnail(filePath, maxDimension));
 
+let thumbnailQueue = null;
+
+// Replaces what's waiting unless `append` is set, e.g. for watched files
+ipcMain.handle("queue-thumbnails", async (event, items, maxDimension, { append = false } = {}) => {
+  if (!thumbnailQueue) {
+    const sender = event.sender;
+    thumbnailQueue = createThumbnailQueue(thumbnailCacheDir(), (batch) => {
+      if (!sender.isDestroyed()) sender.send("thumbnails", batch);
+    });
+    sender.once("destroyed", () => {
+      thumbnailQueue.clear();
+      thumbnailQueue = null;
+    });
+  }
+  if (!append) thumbnailQueue.clear();
+  thumbnailQueue.add(items, maxDimension);
+});
+
+ipcMain.handle("store-thumbnail", async (_event, key, size, data) => storeThumbnail(thumbnailCacheDir(), key, size, data));
+
+ipcMain.handle("thumbnail-cache-size", async () => thumbnailCacheSize(thumbnailCacheDir()));
+
+ipcMain.handle("clear-thumbnail-cache", async () => {
+  if (thumbnailQueue) thumbnailQueue.clear();
+  return clearThumbnailCache(thumbnailCacheDir());
+});
+
 ipcMain.handle("select-output-folder", async (_event, defaultPath) => {
   const result = await dialog.showOpenDialog(mainWindow, {
     defaultPath,
@@ -164,31 +641,685 @@ ipcMain.handle("select-output-folder", async (_event, defaultPath) => {
   return result.filePaths[0];
 });
 
-async function moveToReview({ files, sourceFolder, reviewFolderName, destFolder }) {
-  const reviewDir = destFolder || path.join(sourceFolder, reviewFolderName || "review_blurry");
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("error", reject)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")));
+  });
+}
+
+// Renames src to dest. Across volumes rename fails with EXDEV, so the file is
+// copied, verified byte-for-byte and only then removed from the source.
+// Resolves to "rename" or "copy".
+async function moveFile(src, dest) {
+  try {
+    await fs.promises.rename(src, dest);
+    return "rename";
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+  }
+
+  const stat = await fs.promises.stat(src);
+  await fs.promises.copyFile(src, dest, fs.constants.COPYFILE_EXCL);
+  const verified = (await fs.promises.stat(dest)).size === stat.size
+    && (await hashFile(dest)) === (await hashFile(src));
+  if (!verified) {
+    await fs.promises.rm(dest, { force: true });
+    throw new Error("copy to the other volume could not be verified");
+  }
+  // Keep the mtime so the score cache still recognises the file
+  await fs.promises.utimes(dest, stat.atime, stat.mtime);
+  await fs.promises.unlink(src);
+  return "copy";
+}
+
+function withoutExt(filePath) {
+  return filePath.slice(0, filePath.length - path.extname(filePath).length);
+}
+
+// First free name of the form "IMG_0001-1.JPG", "IMG_0001-2.JPG", ... that
+// is also free for every companion suffix, so a renamed pair stays a pair
+function uniqueDest(dest, companionSuffixes = []) {
+  const ext = path.extname(dest);
+  const base = withoutExt(dest);
+  let n = 1;
+  while ([ext, ...companionSuffixes].some((suffix) => fs.existsSync(`${base}-${n}${suffix}`))) n++;
+  return `${base}-${n}${ext}`;
+}
+
+// Files that travel with a photo: the RAW of a RAW+JPEG pair and XMP
+// sidecars, named either "IMG_0001.xmp" or "IMG_0001.JPG.xmp". Returns the
+// part of each name after the photo's basename, e.g. ".CR3".
+function companionSuffixes(filePath, dirEntries) {
+  const fileName = path.basename(filePath);
+  const base = withoutExt(fileName);
+  const suffixes = [];
+  for (const name of dirEntries) {
+    if (name === fileName || name.toLowerCase().slice(0, base.length) !== base.toLowerCase()) continue;
+    const suffix = name.slice(base.length);
+    const rawPartner = !isRawFile(fileName) && isRawFile(name) && suffix === path.extname(name);
+    const sidecar = suffix.toLowerCase() === ".xmp" || suffix.toLowerCase() === `${path.extname(fileName).toLowerCase()}.xmp`;
+    if (rawPartner || sidecar) suffixes.push(suffix);
+  }
+  return suffixes;
+}
+
+const UNKNOWN_CAMERA_FOLDER = "Unknown camera";
+
+// Subfolder for "subfolder" collisions: the camera model, plus the serial
+// number when the EXIF has one, so two bodies of the same model stay apart
+function cameraFolderName(exif) {
+  const name = exif ? [exif.model, exif.serial && `#${exif.serial}`].filter(Boolean).join(" ") : "";
+  return name.replace(/[\\/:*?"<>|\x00-\x1F]/g, "_").replace(/[. ]+$/, "").trim() || UNKNOWN_CAMERA_FOLDER;
+}
+
+// `collision` decides what happens to same-named files, e.g. two cameras both
+// producing IMG_0001.JPG: "suffix" renames the newcomer, "subfolder" files
+// every photo under a subfolder named after its camera's EXIF model and
+// serial number ("Unknown camera" without EXIF, where same names still get a
+// suffix), "skip" leaves it in place. Companion files (see companionSuffixes)
+// move along under the same name as the photo, and are recorded in the
+// journal so undo restores them.
+// `companions` maps photo paths to the RAW partners the scan paired them
+// with; RAW files it left out (e.g. by an exclude rule) then stay where they are.
+async function moveToReview({ files, sourceFolder, reviewFolderName, destFolder, collision = "suffix", companions = null }) {
+  const reviewDir = destFolder || path.join(sourceFolder, reviewFolderName || REVIEW_FOLDER_NAME);
   if (!fs.existsSync(reviewDir)) {
     fs.mkdirSync(reviewDir, { recursive: true });
   }
 
   const results = [];
+  const moves = [];
+  const listings = new Map();
+  const listDir = (dir) => {
+    if (!listings.has(dir)) listings.set(dir, fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+    return listings.get(dir);
+  };
+
   for (const filePath of files) {
+    const fileName = path.basename(filePath);
     try {
-      const fileName = path.basename(filePath);
-      const dest = path.join(reviewDir, fileName);
-      fs.renameSync(filePath, dest);
-      results.push({ file: fileName, success: true });
+      const targetDir = collision === "subfolder"
+        ? path.join(reviewDir, cameraFolderName(await readExif(filePath)))
+        : reviewDir;
+      const paired = companions && companions[filePath];
+      const suffixes = companionSuffixes(filePath, listDir(path.dirname(filePath)))
+        .filter((suffix) => !paired || !isRawFile(suffix) || paired.includes(withoutExt(filePath) + suffix));
+      let dest = path.join(targetDir, fileName);
+      const result = { file: fileName, success: true };
+
+      if (fs.existsSync(dest) || suffixes.some((suffix) => fs.existsSync(withoutExt(dest) + suffix))) {
+        if (collision === "skip") {
+          results.push({ file: fileName, success: false, skipped: true, error: "a file with this name is already in the review folder" });
+          continue;
+        }
+        dest = uniqueDest(dest, suffixes);
+        result.renamed = true;
+      }
+      if (targetDir !== reviewDir) fs.mkdirSync(targetDir, { recursive: true });
+
+      if (await moveFile(filePath, dest) === "copy") result.copied = true;
+      if (dest !== path.join(reviewDir, fileName)) result.dest = dest;
+      moves.push({ from: filePath, to: dest });
+
+      for (const suffix of suffixes) {
+        const from = withoutExt(filePath) + suffix;
+        const to = withoutExt(dest) + suffix;
+        try {
+          await moveFile(from, to);
+          moves.push({ from, to, companion: true });
+          result.companions = [...(result.companions || []), path.basename(from)];
+        } catch (err) {
+          result.companionError = `${path.basename(from)}: ${err.message}`;
+        }
+      }
+      results.push(result);
     } catch (err) {
       results.push({
-        file: path.basename(filePath),
+        file: fileName,
         success: false,
         error: err.message,
       });
     }
   }
-  return { reviewDir, results };
+
+  if (moves.length === 0) return { reviewDir, results };
+  const operationId = recordMoveOperation(reviewDir, moves);
+  return { reviewDir, results, operationId };
 }
 
-ipcMain.handle("move-to-review", async (_event, args) => moveToReview(args));
+// ── Folder Watch ──────────────────────────────────────────────
+// Watch mode reports photos that appear in the chosen folders while the app
+// is open, e.g. cards copied into an ingest folder during a race. A file is
+// only reported once it is fully written: its size and mtime have not changed
+// for `stableMs` and a JPEG ends with its end-of-image marker. Files without
+// one (some cameras pad their JPEGs) are taken after twice as long.
+
+const WATCH_STABLE_MS = 1500;
+// fs.watch can miss events on some volumes, so the folders are also polled
+const WATCH_POLL_MS = 5000;
+
+async function endsWithEoi(filePath, size) {
+  if (size < 4) return false;
+  const fd = await fs.promises.open(filePath, "r");
+  try {
+    const tail = Buffer.alloc(2);
+    await fd.read(tail, 0, 2, size - 2);
+    return tail[0] === 0xFF && tail[1] === 0xD9;
+  } finally {
+    await fd.close();
+  }
+}
+
+// Calls `onFiles(files)` with new, fully written photos. `known` lists the
+// paths already shown; without it the folders' current contents are.
+async function watchFolders(folderPaths, options, onFiles, { known = null, stableMs = WATCH_STABLE_MS, pollMs = WATCH_POLL_MS } = {}) {
+  const scanOptions = normalizeScanOptions(options);
+  const seen = new Set(known || (await scanMultipleFolders(folderPaths, scanOptions)).map((f) => f.path));
+  const pending = new Map();
+  const watchers = [];
+  let closed = false;
+  let running = null;
+  let again = false;
+  let timer = null;
+
+  const schedule = (ms) => {
+    if (closed) return;
+    clearTimeout(timer);
+    timer = setTimeout(check, ms);
+  };
+
+  async function checkOnce() {
+    const files = await scanMultipleFolders(folderPaths, scanOptions);
+    const now = Date.now();
+    const present = new Set();
+    const ready = [];
+    for (const f of files) {
+      present.add(f.path);
+      if (seen.has(f.path)) continue;
+      const prev = pending.get(f.path);
+      if (!prev || prev.size !== f.size || prev.mtimeMs !== f.mtimeMs) {
+        pending.set(f.path, { size: f.size, mtimeMs: f.mtimeMs, since: now });
+        continue;
+      }
+      const age = now - prev.since;
+      if (age < stableMs) continue;
+      const complete = isRawFile(f.name) || age >= 2 * stableMs || await endsWithEoi(f.path, f.size).catch(() => false);
+      if (!complete) continue;
+      pending.delete(f.path);
+      seen.add(f.path);
+      ready.push(f);
+    }
+    // Temp files renamed or deleted before they settled
+    for (const p of pending.keys()) if (!present.has(p)) pending.delete(p);
+    if (ready.length > 0 && !closed) await onFiles(ready);
+  }
+
+  // Runs one check at a time; events during a check trigger one more
+  async function check() {
+    if (running) {
+      again = true;
+      return running;
+    }
+    running = (async () => {
+      do {
+        again = false;
+        try {
+          await checkOnce();
+        } catch {
+          // Folder briefly unreadable (e.g. card ejected); try again later
+        }
+      } while (again && !closed);
+    })();
+    await running;
+    running = null;
+    schedule(pending.size > 0 ? stableMs / 2 : pollMs);
+  }
+
+  for (const folder of folderPaths) {
+    try {
+      watchers.push(fs.watch(folder, { recursive: scanOptions.recursive }, () => schedule(200)));
+    } catch {
+      // Not watchable here: polling still picks up new photos
+    }
+  }
+  schedule(pollMs);
+
+  return {
+    check,
+    close() {
+      closed = true;
+      clearTimeout(timer);
+      watchers.forEach((w) => w.close());
+    },
+  };
+}
+
+let folderWatcher = null;
+
+function stopWatching() {
+  if (folderWatcher) folderWatcher.close();
+  folderWatcher = null;
+}
+
+ipcMain.handle("watch-folders", async (event, folderPaths, options, known) => {
+  stopWatching();
+  const sender = event.sender;
+  sender.removeListener("destroyed", stopWatching);
+  sender.once("destroyed", stopWatching);
+  const watcher = await watchFolders(folderPaths, options, async (files) => {
+    const ready = await withRawPreviews(files, rawPreviewDir());
+    if (ready.length > 0 && !sender.isDestroyed()) sender.send("watched-files", ready);
+  }, { known });
+  folderWatcher = watcher;
+  return { watching: folderPaths };
+});
+
+ipcMain.handle("unwatch-folders", async () => stopWatching());
+
+// ── Move Journal ──────────────────────────────────────────────
+// Every move operation is appended to a journal inside its destination
+// folder, so it can be undone even after a restart. The app keeps a list of
+// folders with journals in userData to build the history panel.
+
+const JOURNAL_FILE = ".race-blur-journal.json";
+
+function readJournal(reviewDir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(path.join(reviewDir, JOURNAL_FILE), "utf8"));
+    if (data && Array.isArray(data.operations)) return data;
+  } catch {
+    // Missing or unreadable journal
+  }
+  return { version: 1, operations: [] };
+}
+
+function writeJournal(reviewDir, journal) {
+  const file = path.join(reviewDir, JOURNAL_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(journal, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function recordMoveOperation(reviewDir, moves) {
+  const journal = readJournal(reviewDir);
+  const id = crypto.randomUUID();
+  journal.operations.push({ id, createdAt: new Date().toISOString(), undoneAt: null, moves });
+  try {
+    writeJournal(reviewDir, journal);
+  } catch {
+    // The files are already moved; a missing journal only loses undo
+    return null;
+  }
+  return id;
+}
+
+function moveHistoryPath() {
+  return path.join(app.getPath("userData"), "move-history.json");
+}
+
+async function readJournalDirs(historyFile) {
+  try {
+    const data = JSON.parse(await fs.promises.readFile(historyFile, "utf8"));
+    if (Array.isArray(data.dirs)) return data.dirs;
+  } catch {
+    // No history yet
+  }
+  return [];
+}
+
+async function rememberJournalDir(historyFile, reviewDir) {
+  const dirs = await readJournalDirs(historyFile);
+  if (dirs.includes(reviewDir)) return;
+  dirs.push(reviewDir);
+  await fs.promises.mkdir(path.dirname(historyFile), { recursive: true });
+  await fs.promises.writeFile(historyFile, JSON.stringify({ dirs }, null, 2));
+}
+
+// Past operations across all journal folders, newest first
+async function listMoveHistory(reviewDirs) {
+  const history = [];
+  for (const dir of reviewDirs) {
+    for (const op of readJournal(dir).operations) {
+      history.push({
+        reviewDir: dir,
+        id: op.id,
+        createdAt: op.createdAt,
+        undoneAt: op.undoneAt,
+        count: op.moves.filter((m) => !m.companion).length,
+        restoredCount: op.moves.filter((m) => m.restored && !m.companion).length,
+        sourceFolders: [...new Set(op.moves.map((m) => path.dirname(m.from)))],
+      });
+    }
+  }
+  return history.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// Moves an operation's files back to where they came from. Files that were
+// restored already are skipped, so a partly failed undo can be retried.
+async function undoMoveOperation(reviewDir, operationId) {
+  const journal = readJournal(reviewDir);
+  const op = journal.operations.find((o) => o.id === operationId);
+  if (!op) return { error: "operation not found" };
+
+  const results = [];
+  for (const move of [...op.moves].reverse()) {
+    if (move.restored) continue;
+    const result = { file: path.basename(move.from), path: move.from, success: true };
+    if (move.companion) result.companion = true;
+    try {
+      if (!fs.existsSync(move.to)) throw new Error("no longer in the review folder");
+      if (fs.existsSync(move.from)) throw new Error("a file already exists at the original location");
+      fs.mkdirSync(path.dirname(move.from), { recursive: true });
+      await moveFile(move.to, move.from);
+      move.restored = true;
+    } catch (err) {
+      result.success = false;
+      result.error = err.message;
+    }
+    results.push(result);
+  }
+
+  if (op.moves.every((m) => m.restored)) op.undoneAt = new Date().toISOString();
+  try {
+    writeJournal(reviewDir, journal);
+  } catch (err) {
+    return { results, error: `files restored but journal not updated: ${err.message}` };
+  }
+  return { results };
+}
+
+async function moveToReviewAndRemember(args) {
+  const result = await moveToReview(args);
+  if (result.operationId) await rememberJournalDir(moveHistoryPath(), result.reviewDir);
+  return result;
+}
+
+ipcMain.handle("move-to-review", async (_event, args) => moveToReviewAndRemember(args));
+
+ipcMain.handle("list-move-history", async () => listMoveHistory(await readJournalDirs(moveHistoryPath())));
+
+ipcMain.handle("undo-move", async (_event, reviewDir, operationId) => undoMoveOperation(reviewDir, operationId));
+
+// ── XMP Metadata ──────────────────────────────────────────────
+// Alternative to moving files: leave them in place and record rating, label
+// and score for Lightroom / Capture One, either in a `<name>.xmp` sidecar or
+// embedded in the JPEG. Existing metadata is merged, never replaced wholesale.
+
+function xmpSidecarPath(filePath) {
+  const ext = path.extname(filePath);
+  return filePath.slice(0, filePath.length - ext.length) + ".xmp";
+}
+
+async function writeFileAtomic(filePath, data) {
+  const tmp = `${filePath}.rbd-tmp`;
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, filePath);
+}
+
+async function writeXmpMetadata({ photos, threshold, target = "sidecar", rating = true, label = true }) {
+  const results = [];
+  for (const photo of photos) {
+    const fileName = path.basename(photo.path);
+    if (photo.status === "error") {
+      results.push({ file: fileName, success: false, skipped: true, error: "photo could not be analyzed" });
+      continue;
+    }
+    try {
+      const fields = xmpFields(photo, threshold, { rating, label });
+      // RAW files are never rewritten; they always get a sidecar
+      if (target === "embed" && !isRawFile(photo.path)) {
+        const stat = await fs.promises.stat(photo.path);
+        const { buffer, merged } = embedXmp(await fs.promises.readFile(photo.path), fields);
+        await writeFileAtomic(photo.path, buffer);
+        // Tagging isn't an edit, so keep the original times as moveFile does
+        await fs.promises.utimes(photo.path, stat.atime, stat.mtime);
+        results.push({ file: fileName, success: true, embedded: true, merged });
+      } else {
+        const sidecar = xmpSidecarPath(photo.path);
+        let existing = null;
+        try {
+          existing = await fs.promises.readFile(sidecar, "utf8");
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+        const xml = existing === null ? createXmp(fields) : mergeXmp(existing, fields);
+        if (xml === null) throw new Error("existing sidecar could not be parsed; left unchanged");
+        await writeFileAtomic(sidecar, xml);
+        results.push({ file: fileName, success: true, sidecar, merged: existing !== null });
+      }
+    } catch (err) {
+      results.push({ file: fileName, success: false, error: err.message });
+    }
+  }
+  return { results };
+}
+
+ipcMain.handle("write-xmp", async (_event, args) => writeXmpMetadata(args));
+
+// ── Culling Report ────────────────────────────────────────────
+// Proof for the client of which frames were rejected and why. The renderer
+// sends its photos and settings; the summary and formats come from report.js,
+// so exports match the CLI's reports. The file extension picks the format.
+
+const CONTACT_SHEET_THUMB_SIZE = 320;
+
+function reportFormat(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".json") return "json";
+  if (ext === ".html" || ext === ".htm") return "html";
+  return "csv";
+}
+
+// Contact sheet thumbnails come from (and go into) the thumbnail cache in `thumbnailDir`
+async function exportReport(args, filePath, thumbnailDir) {
+  const report = { generatedAt: new Date().toISOString(), ...buildReport(args) };
+  const format = reportFormat(filePath);
+  const thumbnails = new Map();
+  if (format === "html") {
+    for (const p of report.photos) {
+      const thumb = await cachedThumbnail(thumbnailDir, p.previewPath || movedPath(p, report) || p.path, CONTACT_SHEET_THUMB_SIZE);
+      if (typeof thumb !== "string") continue;
+      thumbnails.set(p.path, `data:image/jpeg;base64,${(await fs.promises.readFile(thumb)).toString("base64")}`);
+    }
+  }
+  // Preview paths point into the app's cache and mean nothing to the client
+  report.photos = report.photos.map(({ previewPath: _previewPath, ...p }) => p);
+  await writeFileAtomic(filePath, formatReport(report, format, thumbnails));
+  return { path: filePath, format, count: report.photos.length };
+}
+
+ipcMain.handle("export-report", async (_event, args) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: path.join(args.folders[0] || app.getPath("documents"), "culling-report.csv"),
+    filters: [
+      { name: "CSV", extensions: ["csv"] },
+      { name: "JSON", extensions: ["json"] },
+      { name: "HTML contact sheet", extensions: ["html"] },
+    ],
+  });
+  if (result.canceled || !result.filePath) return null;
+  try {
+    return await exportReport(args, result.filePath, thumbnailCacheDir());
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+// ── Sessions ──────────────────────────────────────────────────
+// A long cull spans several sittings, so the renderer's whole state (folders,
+// scores, settings, selection, actions taken) can be saved to a project file
+// and reopened later. The app keeps a list of recent session files in
+// userData for the welcome screen.
+
+const SESSION_VERSION = 1;
+const SESSION_EXTENSION = "rbdsession";
+const MAX_RECENT_SESSIONS = 10;
+
+async function saveSession(filePath, state) {
+  const session = { ...state, version: SESSION_VERSION, savedAt: new Date().toISOString() };
+  await writeFileAtomic(filePath, JSON.stringify(session));
+  return session;
+}
+
+// Returns the session plus the photos that are gone or were changed on disk
+// since it was saved: `missing` paths and `changed` files with their new size
+// and mtime
+async function loadSession(filePath) {
+  let session;
+  try {
+    session = JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (err) {
+    return { error: err.code === "ENOENT" ? "session file not found" : "not a session file" };
+  }
+  if (!session || typeof session !== "object" || !Array.isArray(session.folders) || !Array.isArray(session.photos)) {
+    return { error: "not a session file" };
+  }
+  if (session.version > SESSION_VERSION) return { error: "session was saved by a newer version of the app" };
+
+  const missing = [];
+  const changed = [];
+  await Promise.all(session.photos.map(async (p) => {
+    try {
+      const stat = await fs.promises.stat(p.path);
+      if (stat.size !== p.size || stat.mtimeMs !== p.mtimeMs) changed.push({ path: p.path, size: stat.size, mtimeMs: stat.mtimeMs });
+    } catch {
+      missing.push(p.path);
+    }
+  }));
+  return { session, missing, changed };
+}
+
+function recentSessionsPath() {
+  return path.join(app.getPath("userData"), "recent-sessions.json");
+}
+
+// Newest first, skipping session files that no longer exist
+async function readRecentSessions(recentFile) {
+  let sessions = [];
+  try {
+    const data = JSON.parse(await fs.promises.readFile(recentFile, "utf8"));
+    if (Array.isArray(data.sessions)) sessions = data.sessions;
+  } catch {
+    // No sessions yet
+  }
+  return sessions.filter((s) => fs.existsSync(s.path));
+}
+
+async function rememberSession(recentFile, filePath, session) {
+  const entry = {
+    path: filePath,
+    savedAt: session.savedAt,
+    folders: session.folders,
+    photoCount: session.photos.length,
+  };
+  const sessions = (await readRecentSessions(recentFile)).filter((s) => s.path !== filePath);
+  sessions.unshift(entry);
+  await fs.promises.mkdir(path.dirname(recentFile), { recursive: true });
+  await fs.promises.writeFile(recentFile, JSON.stringify({ sessions: sessions.slice(0, MAX_RECENT_SESSIONS) }, null, 2));
+}
+
+ipcMain.handle("save-session", async (_event, state, filePath) => {
+  if (!filePath) {
+    const folder = state.folders[0] || app.getPath("documents");
+    const result = await dialog.showSaveDialog(mainWindow, {
+      defaultPath: path.join(folder, `${path.basename(folder)}.${SESSION_EXTENSION}`),
+      filters: [{ name: "Culling session", extensions: [SESSION_EXTENSION] }],
+    });
+    if (result.canceled || !result.filePath) return null;
+    filePath = result.filePath;
+  }
+  try {
+    const session = await saveSession(filePath, state);
+    await rememberSession(recentSessionsPath(), filePath, session);
+    return { path: filePath };
+  } catch (err) {
+    return { error: err.message };
+  }
+});
+
+ipcMain.handle("open-session", async (_event, filePath) => {
+  if (!filePath) {
+    const result = await dialog.showOpenDialog(mainWindow, {
+      properties: ["openFile"],
+      filters: [{ name: "Culling session", extensions: [SESSION_EXTENSION] }],
+    });
+    if (result.canceled || result.filePaths.length === 0) return null;
+    filePath = result.filePaths[0];
+  }
+  const loaded = await loadSession(filePath);
+  if (loaded.error) return { ...loaded, path: filePath };
+
+  // RAW previews are keyed by size and mtime and may have been cleared since
+  const gone = new Set(loaded.missing);
+  const current = new Map(loaded.changed.map((c) => [c.path, c]));
+  const raws = loaded.session.photos.filter((p) => p.raw && !gone.has(p.path)).map((p) => ({ ...p, ...current.get(p.path) }));
+  const previews = new Map((await withRawPreviews(raws, rawPreviewDir())).map((p) => [p.path, p.previewPath]));
+  for (const p of loaded.session.photos) {
+    if (previews.has(p.path)) p.previewPath = previews.get(p.path);
+  }
+
+  await rememberSession(recentSessionsPath(), filePath, loaded.session);
+  return { ...loaded, path: filePath };
+});
+
+ipcMain.handle("list-recent-sessions", async () => readRecentSessions(recentSessionsPath()));
+
+// ── Headless CLI ──────────────────────────────────────────────
+
+async function runHeadless() {
+  if (cliOptions.error) {
+    process.stderr.write(`Error: ${cliOptions.error}\n\n${USAGE}`);
+    app.exit(1);
+    return;
+  }
+  if (cliOptions.help) {
+    process.stdout.write(USAGE);
+    app.exit(0);
+    return;
+  }
+  if (app.dock) app.dock.hide();
+
+  // Score inside a hidden renderer running the GUI's own engine, so the CLI
+  // reports exactly the numbers the grid would show for the same file.
+  const analysisWindow = new BrowserWindow({
+    show: false,
+    webPreferences: {
+      preload: path.join(__dirname, "preload.js"),
+      contextIsolation: true,
+      nodeIntegration: false,
+      webSecurity: false,
+      backgroundThrottling: false,
+    },
+  });
+  await analysisWindow.loadFile("index.html");
+
+  const settings = { region: cliOptions.region, denoise: cliOptions.denoise };
+  const analyze = (file) => analysisWindow.webContents.executeJavaScript(
+    `analyzeImage(imageUrl(${JSON.stringify({ path: file.path, previewPath: file.previewPath })}), ${JSON.stringify(settings)})`
+  );
+  const settingsKey = engineSettingsKey(settings);
+
+  try {
+    const code = await runCli(cliOptions, {
+      scanMultipleFolders: async (folders, options) => withRawPreviews(await scanMultipleFolders(folders, options), rawPreviewDir()),
+      moveToReview: moveToReviewAndRemember,
+      writeXmpMetadata,
+      readExifBatch,
+      analyze,
+      lookupCachedScores: (files) => lookupCachedScores(scoreCacheDir(), files, settingsKey),
+      storeCachedScores: (results) => storeCachedScores(scoreCacheDir(), results, settingsKey),
+      stdout: process.stdout,
+      stderr: process.stderr,
+    });
+    app.exit(code);
+  } catch (err) {
+    process.stderr.write(`Error: ${err.message}\n`);
+    app.exit(1);
+  }
+}
 
 ipcMain.handle("open-external", async (_event, url) => {
   shell.openExternal(url);
@@ -204,4 +1335,35 @@ ipcMain.handle("show-context-menu", async (_event, filePath) => {
   menu.popup({ window: mainWindow });
 });
 
-module.exports = { scanJpegs, readFileBase64, validateJpeg, moveToReview, scanMultipleFolders, estimateScanTime, generateThumbnail };
+module.exports = {
+  scanJpegs,
+  readFileBase64,
+  validateJpeg,
+  readExif,
+  readExifBatch,
+  moveToReview,
+  scanMultipleFolders,
+  scanFolderTree,
+  withRawPreviews,
+  watchFolders,
+  estimateScanTime,
+  generateThumbnail,
+  cachedThumbnail,
+  createThumbnailQueue,
+  storeThumbnail,
+  thumbnailCacheSize,
+  clearThumbnailCache,
+  lookupCachedScores,
+  storeCachedScores,
+  readJournalDirs,
+  rememberJournalDir,
+  listMoveHistory,
+  undoMoveOperation,
+  xmpSidecarPath,
+  writeXmpMetadata,
+  exportReport,
+  saveSession,
+  loadSession,
+  readRecentSessions,
+  rememberSession,
+};
@@ -10,8 +10,10 @@ const mockNativeImage = {
     }
     return {
       isEmpty: () => false,
+      getSize: () => ({ width: 6000, height: 4000 }),
       resize: () => ({
         toPNG: () => Buffer.from([0x89, 0x50, 0x4E, 0x47]),
+        toJPEG: () => Buffer.from([0xFF, 0xD8, 0xFF, 0xD9]),
       }),
     };
   }),
@@ -28,7 +30,38 @@ jest.mock("electron", () => ({
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { scanJpegs, readFileBase64, validateJpeg, moveToReview, scanMultipleFolders, estimateScanTime, generateThumbnail } = require("./main");
+const {
+  scanJpegs,
+  readFileBase64,
+  validateJpeg,
+  moveToReview,
+  scanMultipleFolders,
+  estimateScanTime,
+  generateThumbnail,
+  cachedThumbnail,
+  createThumbnailQueue,
+  thumbnailCacheSize,
+  storeThumbnail,
+  clearThumbnailCache,
+  lookupCachedScores,
+  storeCachedScores,
+  readJournalDirs,
+  rememberJournalDir,
+  listMoveHistory,
+  undoMoveOperation,
+  xmpSidecarPath,
+  writeXmpMetadata,
+  readExif,
+  readExifBatch,
+  withRawPreviews,
+  scanFolderTree,
+  watchFolders,
+  exportReport,
+  saveSession,
+  loadSession,
+  readRecentSessions,
+  rememberSession,
+} = require("./main");
 
 // Minimal valid JPEG: FFD8 header + FFD9 footer
 const VALID_JPEG = Buffer.from([0xFF, 0xD8, 0xFF, 0xE0, 0x00, 0x02, 0x00, 0x00, 0xFF, 0xD9]);
@@ -116,6 +149,16 @@ describe("scanJpegs", () => {
     expect(result[0].path).toBe(path.join(tmpDir, "photo.jpg"));
   });
 
+  test("includes size and mtime in each result", async () => {
+    const filePath = path.join(tmpDir, "photo.jpg");
+    fs.writeFileSync(filePath, VALID_JPEG);
+
+    const result = await scanJpegs(tmpDir);
+    const stat = fs.statSync(filePath);
+    expect(result[0].size).toBe(VALID_JPEG.length);
+    expect(result[0].mtimeMs).toBe(stat.mtimeMs);
+  });
+
   test("skips files with JPEG-like but wrong extensions", async () => {
     fs.writeFileSync(path.join(tmpDir, "file.jpgg"), VALID_JPEG);
     fs.writeFileSync(path.join(tmpDir, "file.jpg2"), VALID_JPEG);
@@ -618,6 +661,108 @@ describe("generateThumbnail", () => {
   });
 });
 
+describe("thumbnail cache", () => {
+  let cacheDir;
+  beforeEach(() => {
+    cacheDir = path.join(tmpDir, "thumbs");
+    mockNativeImage.createFromPath.mockClear();
+  });
+
+  test("makes a JPEG once, rounding the size up", async () => {
+    const filePath = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(filePath, VALID_JPEG);
+
+    const thumb = await cachedThumbnail(cacheDir, filePath, 500);
+    expect(path.dirname(thumb)).toBe(cacheDir);
+    expect(thumb.endsWith("-640.jpg")).toBe(true);
+    expect(fs.readFileSync(thumb)[0]).toBe(0xFF);
+    expect(await cachedThumbnail(cacheDir, filePath, 640)).toBe(thumb);
+    expect(mockNativeImage.createFromPath).toHaveBeenCalledTimes(1);
+    expect(await cachedThumbnail(cacheDir, filePath, 200)).not.toBe(thumb);
+  });
+
+  test("follows a moved file and notices an edited one", async () => {
+    const filePath = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(filePath, VALID_JPEG);
+    fs.utimesSync(filePath, new Date(2026, 0, 1), new Date(2026, 0, 1));
+    const thumb = await cachedThumbnail(cacheDir, filePath, 320);
+
+    const movedPath = path.join(tmpDir, "moved.jpg");
+    fs.renameSync(filePath, movedPath);
+    expect(await cachedThumbnail(cacheDir, movedPath, 320)).toBe(thumb);
+
+    fs.utimesSync(movedPath, new Date(2026, 0, 2), new Date(2026, 0, 2));
+    expect(await cachedThumbnail(cacheDir, movedPath, 320)).not.toBe(thumb);
+  });
+
+  test("returns an error for unreadable files", async () => {
+    fs.writeFileSync(path.join(tmpDir, "bad.jpg"), "not an image");
+    expect(await cachedThumbnail(cacheDir, path.join(tmpDir, "bad.jpg"), 320)).toHaveProperty("error");
+    expect(await cachedThumbnail(cacheDir, path.join(tmpDir, "nope.jpg"), 320)).toHaveProperty("error");
+  });
+
+  test("queue reports hits and misses in batches without decoding", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "b.jpg"), VALID_JPEG.subarray(0, 3));
+    const hit = await cachedThumbnail(cacheDir, path.join(tmpDir, "a.jpg"), 320);
+    mockNativeImage.createFromPath.mockClear();
+
+    const batches = [];
+    const queue = createThumbnailQueue(cacheDir, (batch) => batches.push(batch), { batchMs: 60000 });
+    await queue.add([
+      { path: "/shoot/a.jpg", source: path.join(tmpDir, "a.jpg") },
+      { path: "/shoot/b.jpg", source: path.join(tmpDir, "b.jpg") },
+      { path: "/shoot/gone.jpg", source: path.join(tmpDir, "gone.jpg") },
+    ], 320);
+    expect(batches).toHaveLength(1);
+    expect(batches[0][0]).toEqual({ path: "/shoot/a.jpg", thumbnail: hit });
+    expect(batches[0][1]).toEqual({ path: "/shoot/b.jpg", thumbnail: null, source: path.join(tmpDir, "b.jpg"), key: expect.stringMatching(/^[0-9a-f]{40}$/), size: 320 });
+    expect(batches[0][2]).toEqual({ path: "/shoot/gone.jpg", thumbnail: null });
+    expect(mockNativeImage.createFromPath).not.toHaveBeenCalled();
+  });
+
+  test("stores a thumbnail made for a miss, which the queue then reports", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const batches = [];
+    const queue = createThumbnailQueue(cacheDir, (batch) => batches.push(...batch), { batchMs: 0 });
+    const item = { path: "/shoot/a.jpg", source: path.join(tmpDir, "a.jpg") };
+    await queue.add([item], 320);
+    const { key, size } = batches[0];
+
+    const stored = await storeThumbnail(cacheDir, key, size, new Uint8Array([0xFF, 0xD8, 0xFF, 0xD9]));
+    expect(stored).toBe(path.join(cacheDir, `${key}-320.jpg`));
+    await queue.add([item], 320);
+    expect(batches[1]).toEqual({ path: "/shoot/a.jpg", thumbnail: stored });
+  });
+
+  test("refuses to store thumbnails outside the cache", async () => {
+    expect(await storeThumbnail(cacheDir, "../../evil", 320, new Uint8Array(4))).toHaveProperty("error");
+    expect(await storeThumbnail(cacheDir, "a".repeat(40), 999, new Uint8Array(4))).toHaveProperty("error");
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+
+  test("clear drops what's still waiting", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const done = [];
+    const queue = createThumbnailQueue(cacheDir, (batch) => done.push(...batch), { batchMs: 0 });
+    const items = ["1", "2", "3"].map((n) => ({ path: n, source: path.join(tmpDir, "a.jpg") }));
+    const running = queue.add(items, 320);
+    queue.clear();
+    await running;
+    expect(done.map((d) => d.path)).toEqual(["1"]);
+  });
+
+  test("reports and clears the cache size", async () => {
+    expect(await thumbnailCacheSize(cacheDir)).toEqual({ files: 0, bytes: 0 });
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    await cachedThumbnail(cacheDir, path.join(tmpDir, "a.jpg"), 320);
+    await cachedThumbnail(cacheDir, path.join(tmpDir, "a.jpg"), 640);
+
+    expect(await clearThumbnailCache(cacheDir)).toEqual({ files: 2, bytes: 8 });
+    expect(fs.existsSync(cacheDir)).toBe(false);
+  });
+});
+
 describe("moveToReview with destFolder", () => {
   test("uses destFolder directly when provided", async () => {
     const destDir = path.join(tmpDir, "custom_dest");
@@ -681,3 +826,1052 @@ describe("moveToReview with destFolder", () => {
     expect(fs.existsSync(path.join(destDir, "b.jpg"))).toBe(true);
   });
 });
+
+describe("score cache", () => {
+  const KEY = "v1:400:0.6";
+  let cacheDir;
+  let photo;
+
+  beforeEach(() => {
+    cacheDir = path.join(tmpDir, "cache");
+    photo = { path: path.join(tmpDir, "a.jpg"), size: 1000, mtimeMs: 1700000000000 };
+  });
+
+  // The single shard file after storing scores for one folder
+  const shardFile = () => {
+    const shards = fs.readdirSync(cacheDir);
+    expect(shards).toHaveLength(1);
+    return path.join(cacheDir, shards[0]);
+  };
+
+  test("returns no hits when the cache file doesn't exist", async () => {
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({});
+  });
+
+  test("round-trips a stored score", async () => {
+    const result = await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    expect(result).toEqual({ stored: 1 });
+
+    const hits = await lookupCachedScores(cacheDir, [photo], KEY);
+    expect(hits).toEqual({ [photo.path]: 812.5 });
+  });
+
+  test("misses when the file size changed", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    expect(await lookupCachedScores(cacheDir, [{ ...photo, size: 1001 }], KEY)).toEqual({});
+  });
+
+  test("misses when the mtime changed", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    expect(await lookupCachedScores(cacheDir, [{ ...photo, mtimeMs: photo.mtimeMs + 1 }], KEY)).toEqual({});
+  });
+
+  test("misses for different engine settings", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    expect(await lookupCachedScores(cacheDir, [photo], "v2:400:0.6")).toEqual({});
+  });
+
+  test("keeps scores for several engine settings side by side", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    await storeCachedScores(cacheDir, [{ ...photo, score: 400 }], "other");
+
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({ [photo.path]: 812.5 });
+    expect(await lookupCachedScores(cacheDir, [photo], "other")).toEqual({ [photo.path]: 400 });
+  });
+
+  test("drops scores for older settings when the file changes", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    const edited = { ...photo, mtimeMs: photo.mtimeMs + 5000 };
+    await storeCachedScores(cacheDir, [{ ...edited, score: 300 }], "other");
+
+    expect(await lookupCachedScores(cacheDir, [edited], KEY)).toEqual({});
+    expect(await lookupCachedScores(cacheDir, [edited], "other")).toEqual({ [photo.path]: 300 });
+  });
+
+  test("round-trips a full analysis result", async () => {
+    const analysis = { laplacian: 812.5, tenengrad: 5100, fft: 24.5, motionAngle: 12, motionStrength: 0.4 };
+    await storeCachedScores(cacheDir, [{ ...photo, score: analysis }], KEY);
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({ [photo.path]: analysis });
+  });
+
+  test("ignores a cache written in an older format", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    fs.writeFileSync(shardFile(), JSON.stringify({
+      version: 1,
+      entries: { "a.jpg": { size: photo.size, mtimeMs: photo.mtimeMs, scores: { [KEY]: 812.5 } } },
+    }));
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({});
+  });
+
+  test("does not cache failed analyses", async () => {
+    const result = await storeCachedScores(cacheDir, [{ ...photo, score: -1 }], KEY);
+    expect(result).toEqual({ stored: 0 });
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({});
+  });
+
+  test("only returns hits for the requested files", async () => {
+    const other = { ...photo, path: path.join(tmpDir, "b.jpg") };
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }, { ...other, score: 90 }], KEY);
+    expect(await lookupCachedScores(cacheDir, [other], KEY)).toEqual({ [other.path]: 90 });
+  });
+
+  test("treats a corrupt cache file as empty", async () => {
+    await storeCachedScores(cacheDir, [{ ...photo, score: 1 }], KEY);
+    fs.writeFileSync(shardFile(), "{not json");
+
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({});
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }], KEY);
+    expect(await lookupCachedScores(cacheDir, [photo], KEY)).toEqual({ [photo.path]: 812.5 });
+  });
+
+  test("returns error when the cache can't be written", async () => {
+    const blocker = path.join(tmpDir, "blocker");
+    fs.writeFileSync(blocker, "");
+    const result = await storeCachedScores(path.join(blocker, "cache"), [{ ...photo, score: 1 }], KEY);
+    expect(result).toHaveProperty("error");
+  });
+
+  test("keeps one shard per folder", async () => {
+    const other = { ...photo, path: path.join(tmpDir, "sub", "a.jpg") };
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }, { ...other, score: 90 }], KEY);
+
+    expect(fs.readdirSync(cacheDir)).toHaveLength(2);
+    expect(await lookupCachedScores(cacheDir, [photo, other], KEY)).toEqual({ [photo.path]: 812.5, [other.path]: 90 });
+  });
+
+  test("prunes entries for files that are gone", async () => {
+    const other = { ...photo, path: path.join(tmpDir, "b.jpg") };
+    fs.writeFileSync(photo.path, "");
+    fs.writeFileSync(other.path, "");
+    await storeCachedScores(cacheDir, [{ ...photo, score: 812.5 }, { ...other, score: 90 }], KEY);
+
+    fs.unlinkSync(other.path);
+    await storeCachedScores(cacheDir, [{ ...photo, score: 400 }], "other");
+    expect(Object.keys(JSON.parse(fs.readFileSync(shardFile(), "utf8")).entries)).toEqual(["a.jpg"]);
+  });
+
+  test("keeps every result from overlapping stores", async () => {
+    const others = ["b.jpg", "c.jpg", "d.jpg"].map((name) => ({ ...photo, path: path.join(tmpDir, name) }));
+    [photo, ...others].forEach((p) => fs.writeFileSync(p.path, ""));
+    await Promise.all([photo, ...others].map((p, i) => storeCachedScores(cacheDir, [{ ...p, score: i + 1 }], KEY)));
+
+    expect(Object.keys(await lookupCachedScores(cacheDir, [photo, ...others], KEY))).toHaveLength(4);
+    expect(fs.readdirSync(cacheDir).filter((f) => f.endsWith(".tmp"))).toEqual([]);
+  });
+});
+
+describe("move journal", () => {
+  const JOURNAL = ".race-blur-journal.json";
+
+  function readJournalFile(dir) {
+    return JSON.parse(fs.readFileSync(path.join(dir, JOURNAL), "utf8"));
+  }
+
+  test("moveToReview records the operation in the destination folder", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir });
+
+    expect(typeof result.operationId).toBe("string");
+    const journal = readJournalFile(result.reviewDir);
+    expect(journal.operations).toHaveLength(1);
+    expect(journal.operations[0]).toMatchObject({
+      id: result.operationId,
+      undoneAt: null,
+      moves: [{ from: file, to: path.join(result.reviewDir, "a.jpg") }],
+    });
+  });
+
+  test("only successful moves are journaled", async () => {
+    const good = path.join(tmpDir, "good.jpg");
+    fs.writeFileSync(good, VALID_JPEG);
+
+    const result = await moveToReview({ files: [good, path.join(tmpDir, "missing.jpg")], sourceFolder: tmpDir });
+    expect(readJournalFile(result.reviewDir).operations[0].moves).toHaveLength(1);
+  });
+
+  test("no journal entry when nothing moved", async () => {
+    const result = await moveToReview({ files: [], sourceFolder: tmpDir });
+    expect(result.operationId).toBeUndefined();
+    expect(fs.existsSync(path.join(result.reviewDir, JOURNAL))).toBe(false);
+  });
+
+  test("appends operations to an existing journal", async () => {
+    const dest = path.join(tmpDir, "dest");
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "b.jpg"), VALID_JPEG);
+
+    await moveToReview({ files: [path.join(tmpDir, "a.jpg")], sourceFolder: tmpDir, destFolder: dest });
+    await moveToReview({ files: [path.join(tmpDir, "b.jpg")], sourceFolder: tmpDir, destFolder: dest });
+
+    expect(readJournalFile(dest).operations).toHaveLength(2);
+  });
+
+  test("journal file is not picked up as a photo", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const result = await moveToReview({ files: [path.join(tmpDir, "a.jpg")], sourceFolder: tmpDir });
+
+    const scanned = await scanJpegs(result.reviewDir);
+    expect(scanned.map((f) => f.name)).toEqual(["a.jpg"]);
+  });
+});
+
+describe("undoMoveOperation", () => {
+  test("moves files back to their original folders", async () => {
+    const dir1 = path.join(tmpDir, "cam1");
+    const dir2 = path.join(tmpDir, "cam2");
+    const dest = path.join(tmpDir, "dest");
+    fs.mkdirSync(dir1);
+    fs.mkdirSync(dir2);
+    fs.writeFileSync(path.join(dir1, "a.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(dir2, "b.jpg"), VALID_JPEG);
+
+    const moved = await moveToReview({
+      files: [path.join(dir1, "a.jpg"), path.join(dir2, "b.jpg")],
+      sourceFolder: dir1,
+      destFolder: dest,
+    });
+    const result = await undoMoveOperation(dest, moved.operationId);
+
+    expect(result.results.every((r) => r.success)).toBe(true);
+    expect(fs.existsSync(path.join(dir1, "a.jpg"))).toBe(true);
+    expect(fs.existsSync(path.join(dir2, "b.jpg"))).toBe(true);
+    expect(fs.existsSync(path.join(dest, "a.jpg"))).toBe(false);
+  });
+
+  test("marks the operation as undone", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const moved = await moveToReview({ files: [path.join(tmpDir, "a.jpg")], sourceFolder: tmpDir });
+
+    await undoMoveOperation(moved.reviewDir, moved.operationId);
+    const [entry] = await listMoveHistory([moved.reviewDir]);
+    expect(entry.undoneAt).not.toBeNull();
+    expect(entry.restoredCount).toBe(1);
+  });
+
+  test("recreates a missing original folder", async () => {
+    const src = path.join(tmpDir, "src");
+    fs.mkdirSync(src);
+    fs.writeFileSync(path.join(src, "a.jpg"), VALID_JPEG);
+    const dest = path.join(tmpDir, "dest");
+    const moved = await moveToReview({ files: [path.join(src, "a.jpg")], sourceFolder: src, destFolder: dest });
+    fs.rmSync(src, { recursive: true });
+
+    const result = await undoMoveOperation(dest, moved.operationId);
+    expect(result.results[0].success).toBe(true);
+    expect(fs.existsSync(path.join(src, "a.jpg"))).toBe(true);
+  });
+
+  test("refuses to overwrite a file at the original location", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    const moved = await moveToReview({ files: [file], sourceFolder: tmpDir });
+    fs.writeFileSync(file, "newer");
+
+    const result = await undoMoveOperation(moved.reviewDir, moved.operationId);
+    expect(result.results[0].success).toBe(false);
+    expect(fs.readFileSync(file, "utf8")).toBe("newer");
+    expect(fs.existsSync(path.join(moved.reviewDir, "a.jpg"))).toBe(true);
+  });
+
+  test("reports files no longer in the review folder", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    const moved = await moveToReview({ files: [file], sourceFolder: tmpDir });
+    fs.unlinkSync(path.join(moved.reviewDir, "a.jpg"));
+
+    const result = await undoMoveOperation(moved.reviewDir, moved.operationId);
+    expect(result.results[0]).toMatchObject({ success: false, path: file });
+  });
+
+  test("a partly failed undo can be retried for the remaining files", async () => {
+    const a = path.join(tmpDir, "a.jpg");
+    const b = path.join(tmpDir, "b.jpg");
+    fs.writeFileSync(a, VALID_JPEG);
+    fs.writeFileSync(b, VALID_JPEG);
+    const moved = await moveToReview({ files: [a, b], sourceFolder: tmpDir });
+    fs.writeFileSync(b, "blocker");
+
+    const first = await undoMoveOperation(moved.reviewDir, moved.operationId);
+    expect(first.results.filter((r) => r.success)).toHaveLength(1);
+    let [entry] = await listMoveHistory([moved.reviewDir]);
+    expect(entry.undoneAt).toBeNull();
+
+    fs.unlinkSync(b);
+    const second = await undoMoveOperation(moved.reviewDir, moved.operationId);
+    expect(second.results).toEqual([{ file: "b.jpg", path: b, success: true }]);
+    [entry] = await listMoveHistory([moved.reviewDir]);
+    expect(entry.undoneAt).not.toBeNull();
+  });
+
+  test("returns error for an unknown operation", async () => {
+    expect(await undoMoveOperation(tmpDir, "nope")).toEqual({ error: "operation not found" });
+  });
+});
+
+describe("move history", () => {
+  test("rememberJournalDir adds each folder once", async () => {
+    const historyFile = path.join(tmpDir, "data", "move-history.json");
+    await rememberJournalDir(historyFile, "/a");
+    await rememberJournalDir(historyFile, "/b");
+    await rememberJournalDir(historyFile, "/a");
+    expect(await readJournalDirs(historyFile)).toEqual(["/a", "/b"]);
+  });
+
+  test("readJournalDirs returns empty array without a history file", async () => {
+    expect(await readJournalDirs(path.join(tmpDir, "none.json"))).toEqual([]);
+  });
+
+  test("listMoveHistory merges folders, newest first", async () => {
+    const destA = path.join(tmpDir, "destA");
+    const destB = path.join(tmpDir, "destB");
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "b.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "c.jpg"), VALID_JPEG);
+
+    const first = await moveToReview({ files: [path.join(tmpDir, "a.jpg")], sourceFolder: tmpDir, destFolder: destA });
+    await new Promise((r) => setTimeout(r, 5));
+    const second = await moveToReview({
+      files: [path.join(tmpDir, "b.jpg"), path.join(tmpDir, "c.jpg")],
+      sourceFolder: tmpDir,
+      destFolder: destB,
+    });
+
+    const history = await listMoveHistory([destA, destB]);
+    expect(history.map((h) => h.id)).toEqual([second.operationId, first.operationId]);
+    expect(history[0]).toMatchObject({ reviewDir: destB, count: 2, restoredCount: 0, undoneAt: null, sourceFolders: [tmpDir] });
+  });
+
+  test("listMoveHistory skips folders without a journal", async () => {
+    expect(await listMoveHistory([path.join(tmpDir, "gone")])).toEqual([]);
+  });
+});
+
+describe("moveToReview collisions", () => {
+  function twoCameras() {
+    const cam1 = path.join(tmpDir, "cam1");
+    const cam2 = path.join(tmpDir, "cam2");
+    fs.mkdirSync(cam1);
+    fs.mkdirSync(cam2);
+    fs.writeFileSync(path.join(cam1, "IMG_0001.JPG"), "first");
+    fs.writeFileSync(path.join(cam2, "IMG_0001.JPG"), "second");
+    return [path.join(cam1, "IMG_0001.JPG"), path.join(cam2, "IMG_0001.JPG")];
+  }
+
+  test("suffix mode (default) keeps both same-named files", async () => {
+    const dest = path.join(tmpDir, "dest");
+    const result = await moveToReview({ files: twoCameras(), sourceFolder: tmpDir, destFolder: dest });
+
+    expect(result.results[0]).toEqual({ file: "IMG_0001.JPG", success: true });
+    expect(result.results[1]).toEqual({
+      file: "IMG_0001.JPG",
+      success: true,
+      renamed: true,
+      dest: path.join(dest, "IMG_0001-1.JPG"),
+    });
+    expect(fs.readFileSync(path.join(dest, "IMG_0001.JPG"), "utf8")).toBe("first");
+    expect(fs.readFileSync(path.join(dest, "IMG_0001-1.JPG"), "utf8")).toBe("second");
+  });
+
+  test("suffix mode picks the next free number", async () => {
+    const dest = path.join(tmpDir, "dest");
+    fs.mkdirSync(dest);
+    fs.writeFileSync(path.join(dest, "a.jpg"), "old");
+    fs.writeFileSync(path.join(dest, "a-1.jpg"), "old");
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), "new");
+
+    const result = await moveToReview({ files: [path.join(tmpDir, "a.jpg")], sourceFolder: tmpDir, destFolder: dest });
+    expect(result.results[0].dest).toBe(path.join(dest, "a-2.jpg"));
+  });
+
+  // JPEG whose EXIF names the camera: Model in IFD0, BodySerialNumber in the
+  // Exif IFD. Both strings must be longer than four bytes.
+  function cameraJpeg(model, serial) {
+    const tiff = Buffer.alloc(56);
+    tiff.write("II*\0", 0, "latin1");
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(2, 8);
+    tiff.writeUInt16LE(0x0110, 10);
+    tiff.writeUInt16LE(2, 12);
+    tiff.writeUInt32LE(model.length + 1, 14);
+    tiff.writeUInt32LE(56, 18);
+    tiff.writeUInt16LE(0x8769, 22);
+    tiff.writeUInt16LE(4, 24);
+    tiff.writeUInt32LE(1, 26);
+    tiff.writeUInt32LE(38, 30);
+    tiff.writeUInt16LE(1, 38);
+    tiff.writeUInt16LE(0xA431, 40);
+    tiff.writeUInt16LE(2, 42);
+    tiff.writeUInt32LE(serial.length + 1, 44);
+    tiff.writeUInt32LE(56 + model.length + 1, 48);
+    const payload = Buffer.concat([Buffer.from("Exif\0\0", "latin1"), tiff, Buffer.from(`${model}\0${serial}\0`, "latin1")]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(payload.length + 2);
+    return Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE1]), length, payload, Buffer.from([0xFF, 0xD9])]);
+  }
+
+  test("subfolder mode files photos under their camera model and serial", async () => {
+    const [first, second] = twoCameras();
+    fs.writeFileSync(first, cameraJpeg("Canon EOS R5", "012345"));
+    fs.writeFileSync(second, cameraJpeg("Canon EOS R5", "067890"));
+    const dest = path.join(tmpDir, "dest");
+    const result = await moveToReview({ files: [first, second], sourceFolder: tmpDir, destFolder: dest, collision: "subfolder" });
+
+    expect(result.results.every((r) => r.success)).toBe(true);
+    expect(fs.readdirSync(dest).filter((f) => !f.startsWith(".")).sort()).toEqual(["Canon EOS R5 #012345", "Canon EOS R5 #067890"]);
+    expect(result.results[1].dest).toBe(path.join(dest, "Canon EOS R5 #067890", "IMG_0001.JPG"));
+  });
+
+  test("subfolder mode falls back to a shared folder without EXIF", async () => {
+    const dest = path.join(tmpDir, "dest");
+    const result = await moveToReview({ files: twoCameras(), sourceFolder: tmpDir, destFolder: dest, collision: "subfolder" });
+
+    expect(fs.readFileSync(path.join(dest, "Unknown camera", "IMG_0001.JPG"), "utf8")).toBe("first");
+    expect(fs.readFileSync(path.join(dest, "Unknown camera", "IMG_0001-1.JPG"), "utf8")).toBe("second");
+    expect(result.results[1].renamed).toBe(true);
+  });
+
+  test("subfolder mode keeps camera names safe as folder names", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, cameraJpeg("Cam/Model:X ..", "SN<1>"));
+    const dest = path.join(tmpDir, "dest");
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir, destFolder: dest, collision: "subfolder" });
+    expect(result.results[0].dest).toBe(path.join(dest, "Cam_Model_X .. #SN_1_", "a.jpg"));
+  });
+
+  test("skip mode leaves the second file in place", async () => {
+    const dest = path.join(tmpDir, "dest");
+    const files = twoCameras();
+    const result = await moveToReview({ files, sourceFolder: tmpDir, destFolder: dest, collision: "skip" });
+
+    expect(result.results[0].success).toBe(true);
+    expect(result.results[1]).toMatchObject({ file: "IMG_0001.JPG", success: false, skipped: true });
+    expect(fs.existsSync(files[1])).toBe(true);
+    expect(fs.readFileSync(path.join(dest, "IMG_0001.JPG"), "utf8")).toBe("first");
+  });
+
+  test("undo restores renamed files to their original names", async () => {
+    const dest = path.join(tmpDir, "dest");
+    const files = twoCameras();
+    const moved = await moveToReview({ files, sourceFolder: tmpDir, destFolder: dest });
+
+    await undoMoveOperation(dest, moved.operationId);
+    expect(fs.readFileSync(files[0], "utf8")).toBe("first");
+    expect(fs.readFileSync(files[1], "utf8")).toBe("second");
+  });
+});
+
+describe("moveToReview across volumes", () => {
+  function exdevOnce() {
+    const realRename = fs.promises.rename;
+    return jest.spyOn(fs.promises, "rename").mockImplementation(async (src, dest) => {
+      if (String(dest).endsWith(".jpg")) {
+        const err = new Error("EXDEV: cross-device link not permitted");
+        err.code = "EXDEV";
+        throw err;
+      }
+      return realRename(src, dest);
+    });
+  }
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("falls back to copy and delete on EXDEV", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    const mtime = new Date("2024-05-01T10:00:00Z");
+    fs.utimesSync(file, mtime, mtime);
+    exdevOnce();
+
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir });
+
+    expect(result.results[0]).toEqual({ file: "a.jpg", success: true, copied: true });
+    expect(fs.existsSync(file)).toBe(false);
+    const dest = path.join(result.reviewDir, "a.jpg");
+    expect(fs.readFileSync(dest)).toEqual(VALID_JPEG);
+    expect(fs.statSync(dest).mtime.getTime()).toBe(mtime.getTime());
+  });
+
+  test("keeps the source when the copy can't be verified", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    exdevOnce();
+    const realCopy = fs.promises.copyFile;
+    jest.spyOn(fs.promises, "copyFile").mockImplementation(async (src, dest, mode) => {
+      await realCopy(src, dest, mode);
+      fs.appendFileSync(dest, "corrupted");
+    });
+
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir });
+
+    expect(result.results[0].success).toBe(false);
+    expect(result.results[0].error).toMatch(/verified/);
+    expect(fs.existsSync(file)).toBe(true);
+    expect(fs.existsSync(path.join(result.reviewDir, "a.jpg"))).toBe(false);
+  });
+
+  test("verifies the copy by streaming instead of reading whole files", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    exdevOnce();
+    const readFileSync = jest.spyOn(fs, "readFileSync");
+
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir });
+
+    expect(result.results[0]).toMatchObject({ success: true, copied: true });
+    expect(readFileSync.mock.calls.filter(([p]) => String(p).endsWith("a.jpg"))).toEqual([]);
+  });
+
+  test("other rename errors are reported without copying", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    jest.spyOn(fs.promises, "rename").mockImplementation(async () => {
+      const err = new Error("EACCES: permission denied");
+      err.code = "EACCES";
+      throw err;
+    });
+    const copy = jest.spyOn(fs.promises, "copyFile");
+
+    const result = await moveToReview({ files: [file], sourceFolder: tmpDir });
+
+    expect(result.results[0]).toMatchObject({ success: false, error: "EACCES: permission denied" });
+    expect(copy).not.toHaveBeenCalled();
+  });
+});
+
+describe("writeXmpMetadata", () => {
+  test("xmpSidecarPath replaces the extension", () => {
+    expect(xmpSidecarPath("/shoot/IMG_0001.JPG")).toBe("/shoot/IMG_0001.xmp");
+  });
+
+  test("writes a new sidecar next to the photo", async () => {
+    const file = path.join(tmpDir, "IMG_0001.JPG");
+    fs.writeFileSync(file, VALID_JPEG);
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 812.5, status: "sharp" }], threshold: 700 });
+
+    expect(result.results[0]).toEqual({
+      file: "IMG_0001.JPG",
+      success: true,
+      sidecar: path.join(tmpDir, "IMG_0001.xmp"),
+      merged: false,
+    });
+    const xml = fs.readFileSync(path.join(tmpDir, "IMG_0001.xmp"), "utf8");
+    expect(xml).toContain('xmp:Rating="3"');
+    expect(xml).toContain('rbd:Score="812.5"');
+    expect(fs.readFileSync(file)).toEqual(VALID_JPEG);
+  });
+
+  test("merges with an existing sidecar", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "a.xmp"), `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/" photoshop:City="Boston"/>
+</rdf:RDF></x:xmpmeta>`);
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 100, status: "blurry" }], threshold: 700 });
+
+    expect(result.results[0].merged).toBe(true);
+    const xml = fs.readFileSync(path.join(tmpDir, "a.xmp"), "utf8");
+    expect(xml).toContain('photoshop:City="Boston"');
+    expect(xml).toContain('xmp:Label="Red"');
+  });
+
+  test("leaves an unparseable sidecar untouched", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "a.xmp"), "garbage");
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 100, status: "blurry" }], threshold: 700 });
+
+    expect(result.results[0].success).toBe(false);
+    expect(fs.readFileSync(path.join(tmpDir, "a.xmp"), "utf8")).toBe("garbage");
+  });
+
+  test("embeds XMP into the JPEG", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 500, status: "borderline" }], threshold: 700, target: "embed" });
+
+    expect(result.results[0]).toEqual({ file: "a.jpg", success: true, embedded: true, merged: false });
+    const buf = fs.readFileSync(file);
+    expect(buf[0]).toBe(0xFF);
+    expect(buf[1]).toBe(0xD8);
+    expect(buf.toString("utf8")).toContain('xmp:Rating="2"');
+    expect(fs.existsSync(path.join(tmpDir, "a.xmp"))).toBe(false);
+  });
+
+  test("keeps the JPEG's mtime when embedding", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    const shot = new Date("2024-05-04T09:30:00Z");
+    fs.utimesSync(file, shot, shot);
+
+    await writeXmpMetadata({ photos: [{ path: file, score: 500, status: "borderline" }], threshold: 700, target: "embed" });
+
+    expect(fs.readFileSync(file, "utf8")).toContain('xmp:Rating="2"');
+    expect(fs.statSync(file).mtimeMs).toBe(shot.getTime());
+  });
+
+  test("reports an error when embedding into a non-JPEG", async () => {
+    const file = path.join(tmpDir, "fake.jpg");
+    fs.writeFileSync(file, "not a jpeg");
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 500, status: "borderline" }], threshold: 700, target: "embed" });
+    expect(result.results[0]).toEqual({ file: "fake.jpg", success: false, error: "not a valid JPEG" });
+    expect(fs.readFileSync(file, "utf8")).toBe("not a jpeg");
+  });
+
+  test("skips photos that failed analysis", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: -1, status: "error" }], threshold: 700 });
+    expect(result.results[0]).toMatchObject({ success: false, skipped: true });
+    expect(fs.existsSync(path.join(tmpDir, "a.xmp"))).toBe(false);
+  });
+});
+
+describe("readExif", () => {
+  // APP1 Exif with a little-endian TIFF holding one IFD0 entry: Model = "X1"
+  const TIFF = Buffer.from([
+    0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+    0x01, 0x00,
+    0x10, 0x01, 0x02, 0x00, 0x03, 0x00, 0x00, 0x00, 0x58, 0x31, 0x00, 0x00,
+    0x00, 0x00, 0x00, 0x00,
+  ]);
+  const EXIF_JPEG = Buffer.concat([
+    Buffer.from([0xFF, 0xD8, 0xFF, 0xE1, 0x00, 2 + 6 + TIFF.length]),
+    Buffer.from("Exif\0\0", "latin1"),
+    TIFF,
+    Buffer.from([0xFF, 0xD9]),
+  ]);
+
+  test("reads EXIF from a JPEG", async () => {
+    const file = path.join(tmpDir, "a.jpg");
+    fs.writeFileSync(file, EXIF_JPEG);
+    const exif = await readExif(file);
+    expect(exif.model).toBe("X1");
+    expect(exif.iso).toBeNull();
+  });
+
+  test("returns null without EXIF or for missing files", async () => {
+    const file = path.join(tmpDir, "plain.jpg");
+    fs.writeFileSync(file, VALID_JPEG);
+    expect(await readExif(file)).toBeNull();
+    expect(await readExif(path.join(tmpDir, "missing.jpg"))).toBeNull();
+  });
+
+  test("readExifBatch maps every path", async () => {
+    const a = path.join(tmpDir, "a.jpg");
+    const b = path.join(tmpDir, "b.jpg");
+    fs.writeFileSync(a, EXIF_JPEG);
+    fs.writeFileSync(b, VALID_JPEG);
+    const result = await readExifBatch([a, b]);
+    expect(Object.keys(result).sort()).toEqual([a, b]);
+    expect(result[a].model).toBe("X1");
+    expect(result[b]).toBeNull();
+  });
+});
+
+describe("RAW files", () => {
+  // Smallest JPEG findEmbeddedJpeg accepts: SOF0 (64x48), SOS, one data byte, EOI
+  const PREVIEW = Buffer.from([
+    0xFF, 0xD8,
+    0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x30, 0x00, 0x40, 0x01, 0x01, 0x11, 0x00,
+    0xFF, 0xDA, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3F, 0x00,
+    0x42,
+    0xFF, 0xD9,
+  ]);
+  const RAW = Buffer.concat([Buffer.from("II*\0", "latin1"), Buffer.alloc(200), PREVIEW, Buffer.alloc(200)]);
+
+  test("scanJpegs pairs a RAW with its same-named JPEG", async () => {
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.JPG"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.CR3"), RAW);
+    fs.writeFileSync(path.join(tmpDir, "DSC_0002.NEF"), RAW);
+
+    const result = (await scanJpegs(tmpDir)).sort((a, b) => a.name.localeCompare(b.name));
+    expect(result).toHaveLength(2);
+    expect(result[0]).toMatchObject({ name: "DSC_0002.NEF", raw: true });
+    expect(result[1]).toMatchObject({ name: "IMG_0001.JPG", companions: [path.join(tmpDir, "IMG_0001.CR3")] });
+    expect(result[1].raw).toBeUndefined();
+  });
+
+  test("withRawPreviews extracts lone RAW previews once and drops RAWs without one", async () => {
+    const previewDir = path.join(tmpDir, "previews");
+    fs.writeFileSync(path.join(tmpDir, "a.ARW"), RAW);
+    fs.writeFileSync(path.join(tmpDir, "broken.ARW"), Buffer.alloc(500));
+    fs.writeFileSync(path.join(tmpDir, "b.jpg"), VALID_JPEG);
+
+    const files = await withRawPreviews(await scanJpegs(tmpDir), previewDir);
+    expect(files.map((f) => f.name).sort()).toEqual(["a.ARW", "b.jpg"]);
+    const raw = files.find((f) => f.raw);
+    expect(fs.readFileSync(raw.previewPath).equals(PREVIEW)).toBe(true);
+
+    const again = await withRawPreviews(await scanJpegs(tmpDir), previewDir);
+    expect(again.find((f) => f.raw).previewPath).toBe(raw.previewPath);
+    expect(fs.readdirSync(previewDir)).toHaveLength(1);
+  });
+
+  test("withRawPreviews reads RAW files by range instead of whole", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.CR3"), RAW);
+    const readFile = jest.spyOn(fs.promises, "readFile");
+    try {
+      const [file] = await withRawPreviews(await scanJpegs(tmpDir), path.join(tmpDir, "previews"));
+      expect(fs.readFileSync(file.previewPath).equals(PREVIEW)).toBe(true);
+      expect(readFile).not.toHaveBeenCalled();
+    } finally {
+      readFile.mockRestore();
+    }
+  });
+
+  test("readExif reads TIFF-based RAW files", async () => {
+    const file = path.join(tmpDir, "a.nef");
+    // IFD0 with Model = "X1", as in the readExif tests above
+    fs.writeFileSync(file, Buffer.from([
+      0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00,
+      0x01, 0x00,
+      0x10, 0x01, 0x02, 0x00, 0x03, 0x00, 0x00, 0x00, 0x58, 0x31, 0x00, 0x00,
+      0x00, 0x00, 0x00, 0x00,
+    ]));
+    expect((await readExif(file)).model).toBe("X1");
+  });
+
+  test("moveToReview moves the RAW partner and sidecars with the JPEG", async () => {
+    const dest = path.join(tmpDir, "dest");
+    for (const name of ["IMG_0001.JPG", "IMG_0001.CR3", "IMG_0001.xmp", "IMG_0001.JPG.xmp", "IMG_00012.JPG", "IMG_0001.jpeg"]) {
+      fs.writeFileSync(path.join(tmpDir, name), name);
+    }
+
+    const result = await moveToReview({ files: [path.join(tmpDir, "IMG_0001.JPG")], sourceFolder: tmpDir, destFolder: dest });
+    expect(result.results[0]).toEqual({
+      file: "IMG_0001.JPG",
+      success: true,
+      companions: ["IMG_0001.CR3", "IMG_0001.JPG.xmp", "IMG_0001.xmp"].sort(),
+    });
+    expect(fs.readdirSync(dest).filter((n) => !n.startsWith(".")).sort())
+      .toEqual(["IMG_0001.CR3", "IMG_0001.JPG", "IMG_0001.JPG.xmp", "IMG_0001.xmp"]);
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(["IMG_0001.jpeg", "IMG_00012.JPG", "dest"]);
+  });
+
+  test("moveToReview renames a pair together when the name is taken", async () => {
+    const dest = path.join(tmpDir, "dest");
+    fs.mkdirSync(dest);
+    fs.writeFileSync(path.join(dest, "IMG_0001.CR3"), "old");
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.JPG"), "jpeg");
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.CR3"), "raw");
+
+    const result = await moveToReview({ files: [path.join(tmpDir, "IMG_0001.JPG")], sourceFolder: tmpDir, destFolder: dest });
+    expect(result.results[0]).toMatchObject({ renamed: true, dest: path.join(dest, "IMG_0001-1.JPG") });
+    expect(fs.readFileSync(path.join(dest, "IMG_0001-1.CR3"), "utf8")).toBe("raw");
+    expect(fs.readFileSync(path.join(dest, "IMG_0001.CR3"), "utf8")).toBe("old");
+  });
+
+  test("moves a lone RAW with its sidecar and undo brings both back", async () => {
+    const dest = path.join(tmpDir, "dest");
+    fs.writeFileSync(path.join(tmpDir, "DSC_0002.NEF"), RAW);
+    fs.writeFileSync(path.join(tmpDir, "DSC_0002.xmp"), "<x/>");
+
+    const moved = await moveToReview({ files: [path.join(tmpDir, "DSC_0002.NEF")], sourceFolder: tmpDir, destFolder: dest });
+    expect(moved.results[0].companions).toEqual(["DSC_0002.xmp"]);
+
+    const [entry] = await listMoveHistory([dest]);
+    expect(entry.count).toBe(1);
+
+    const undone = await undoMoveOperation(dest, moved.operationId);
+    expect(undone.results.map((r) => [r.file, !!r.companion])).toEqual([["DSC_0002.xmp", true], ["DSC_0002.NEF", false]]);
+    expect(fs.existsSync(path.join(tmpDir, "DSC_0002.NEF"))).toBe(true);
+    expect(fs.existsSync(path.join(tmpDir, "DSC_0002.xmp"))).toBe(true);
+  });
+
+  test("writeXmpMetadata writes a sidecar instead of embedding into a RAW", async () => {
+    const file = path.join(tmpDir, "DSC_0002.NEF");
+    fs.writeFileSync(file, RAW);
+    const result = await writeXmpMetadata({ photos: [{ path: file, score: 500, status: "borderline" }], threshold: 700, target: "embed" });
+
+    expect(result.results[0]).toMatchObject({ success: true, sidecar: path.join(tmpDir, "DSC_0002.xmp") });
+    expect(fs.readFileSync(file).equals(RAW)).toBe(true);
+  });
+});
+
+describe("scanFolderTree", () => {
+  // DCIM/100CANON, DCIM/101CANON/deep/deeper, DCIM/review_blurry, .hidden, custom journal folder
+  function cardDump() {
+    const files = [
+      "top.jpg",
+      "DCIM/100CANON/IMG_0001.JPG",
+      "DCIM/101CANON/IMG_0002.JPG",
+      "DCIM/101CANON/IMG_0003.CR3",
+      "DCIM/101CANON/deep/deeper/IMG_0004.JPG",
+      "DCIM/review_blurry/IMG_0005.JPG",
+      ".hidden/IMG_0006.JPG",
+      "culled/IMG_0007.JPG",
+      "culled/.race-blur-journal.json",
+    ];
+    for (const rel of files) {
+      fs.mkdirSync(path.dirname(path.join(tmpDir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(tmpDir, rel), VALID_JPEG);
+    }
+  }
+  const rel = (files) => files.map((f) => (f.subfolder ? `${f.subfolder}/${f.name}` : f.name)).sort();
+
+  test("only reads the top level unless recursive", async () => {
+    cardDump();
+    const files = await scanFolderTree(tmpDir);
+    expect(rel(files)).toEqual(["top.jpg"]);
+    expect(files[0]).toMatchObject({ root: tmpDir, subfolder: "" });
+  });
+
+  test("walks subfolders, skipping hidden and review folders", async () => {
+    cardDump();
+    const files = await scanFolderTree(tmpDir, { recursive: true });
+    expect(rel(files)).toEqual([
+      "DCIM/100CANON/IMG_0001.JPG",
+      "DCIM/101CANON/IMG_0002.JPG",
+      "DCIM/101CANON/IMG_0003.CR3",
+      "DCIM/101CANON/deep/deeper/IMG_0004.JPG",
+      "top.jpg",
+    ]);
+    expect(files.find((f) => f.name === "IMG_0001.JPG").path).toBe(path.join(tmpDir, "DCIM", "100CANON", "IMG_0001.JPG"));
+  });
+
+  test("stops at the depth limit", async () => {
+    cardDump();
+    const files = await scanFolderTree(tmpDir, { recursive: true, maxDepth: 2 });
+    expect(rel(files)).not.toContain("DCIM/101CANON/deep/deeper/IMG_0004.JPG");
+    expect(rel(files)).toContain("DCIM/101CANON/IMG_0002.JPG");
+  });
+
+  test("applies include and exclude globs", async () => {
+    cardDump();
+    expect(rel(await scanFolderTree(tmpDir, { recursive: true, include: ["*.cr3"] }))).toEqual(["DCIM/101CANON/IMG_0003.CR3"]);
+    expect(rel(await scanFolderTree(tmpDir, { recursive: true, exclude: ["101CANON", "top.*"] }))).toEqual(["DCIM/100CANON/IMG_0001.JPG"]);
+  });
+
+  test("applies the rules to each file of a RAW+JPEG pair", async () => {
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.JPG"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.CR3"), "raw");
+
+    const rawOnly = await scanFolderTree(tmpDir, { include: ["*.CR3"] });
+    expect(rawOnly).toHaveLength(1);
+    expect(rawOnly[0]).toMatchObject({ name: "IMG_0001.CR3", raw: true });
+
+    const jpegOnly = await scanFolderTree(tmpDir, { exclude: ["*.CR3"] });
+    expect(jpegOnly).toHaveLength(1);
+    expect(jpegOnly[0].name).toBe("IMG_0001.JPG");
+    expect(jpegOnly[0]).not.toHaveProperty("companions");
+  });
+
+  test("moveToReview leaves RAW partners the scan excluded", async () => {
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.JPG"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.CR3"), "raw");
+    fs.writeFileSync(path.join(tmpDir, "IMG_0001.xmp"), "<x/>");
+    const [photo] = await scanFolderTree(tmpDir, { exclude: ["*.CR3"] });
+
+    const dest = path.join(tmpDir, "review");
+    const result = await moveToReview({ files: [photo.path], destFolder: dest, companions: { [photo.path]: photo.companions || [] } });
+    expect(result.results[0].companions).toEqual(["IMG_0001.xmp"]);
+    expect(fs.existsSync(path.join(tmpDir, "IMG_0001.CR3"))).toBe(true);
+  });
+
+  test("returns an error for a missing folder", async () => {
+    expect(await scanFolderTree(path.join(tmpDir, "nope"), { recursive: true })).toHaveProperty("error");
+  });
+
+  test("scanMultipleFolders passes the options on", async () => {
+    cardDump();
+    const files = await scanMultipleFolders([path.join(tmpDir, "DCIM")], { recursive: true, maxDepth: 1 });
+    expect(rel(files)).toEqual(["100CANON/IMG_0001.JPG", "101CANON/IMG_0002.JPG", "101CANON/IMG_0003.CR3"]);
+  });
+});
+
+describe("watchFolders", () => {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  let watcher;
+
+  afterEach(() => {
+    if (watcher) watcher.close();
+    watcher = null;
+  });
+
+  async function watch(options = {}) {
+    const onFiles = jest.fn();
+    watcher = await watchFolders([tmpDir], {}, onFiles, { stableMs: 40, pollMs: 60000, ...options });
+    return onFiles;
+  }
+
+  test("reports a new photo once it has settled, and only once", async () => {
+    fs.writeFileSync(path.join(tmpDir, "old.jpg"), VALID_JPEG);
+    const onFiles = await watch();
+    fs.writeFileSync(path.join(tmpDir, "new.jpg"), VALID_JPEG);
+
+    await watcher.check();
+    expect(onFiles).not.toHaveBeenCalled();
+    await sleep(50);
+    await watcher.check();
+    await watcher.check();
+
+    expect(onFiles).toHaveBeenCalledTimes(1);
+    expect(onFiles.mock.calls[0][0].map((f) => f.name)).toEqual(["new.jpg"]);
+  });
+
+  test("waits while a file is still growing", async () => {
+    const onFiles = await watch();
+    const file = path.join(tmpDir, "copying.jpg");
+    fs.writeFileSync(file, VALID_JPEG.subarray(0, 6));
+
+    await watcher.check();
+    await sleep(50);
+    fs.appendFileSync(file, VALID_JPEG.subarray(6));
+    await watcher.check();
+    expect(onFiles).not.toHaveBeenCalled();
+
+    await sleep(50);
+    await watcher.check();
+    expect(onFiles).toHaveBeenCalledTimes(1);
+  });
+
+  test("gives a JPEG without an end marker twice as long", async () => {
+    const onFiles = await watch();
+    fs.writeFileSync(path.join(tmpDir, "padded.jpg"), Buffer.concat([VALID_JPEG, Buffer.alloc(16)]));
+
+    await watcher.check();
+    await sleep(50);
+    await watcher.check();
+    expect(onFiles).not.toHaveBeenCalled();
+
+    await sleep(40);
+    await watcher.check();
+    expect(onFiles).toHaveBeenCalledTimes(1);
+  });
+
+  test("treats files not in `known` as new", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    fs.writeFileSync(path.join(tmpDir, "b.jpg"), VALID_JPEG);
+    const onFiles = await watch({ known: [path.join(tmpDir, "a.jpg")] });
+
+    await watcher.check();
+    await sleep(50);
+    await watcher.check();
+    expect(onFiles.mock.calls[0][0].map((f) => f.name)).toEqual(["b.jpg"]);
+  });
+});
+
+describe("exportReport", () => {
+  const args = () => ({
+    folders: [tmpDir],
+    metric: "laplacian",
+    threshold: 700,
+    borderline: 0.7,
+    photos: [
+      { name: "a.jpg", path: path.join(tmpDir, "a.jpg"), score: 900, status: "sharp", defects: [], action: "none" },
+      { name: "b.NEF", path: path.join(tmpDir, "b.NEF"), previewPath: "/cache/b.jpg", score: 100, status: "blurry", defects: ["blurry"], action: "moved" },
+    ],
+  });
+
+  test("picks the format from the file extension", async () => {
+    const csvFile = path.join(tmpDir, "report.csv");
+    expect(await exportReport(args(), csvFile)).toEqual({ path: csvFile, format: "csv", count: 2 });
+    expect(fs.readFileSync(csvFile, "utf8").split("\n")[1]).toContain("a.jpg,900,sharp,700,none");
+
+    const jsonFile = path.join(tmpDir, "report.JSON");
+    await exportReport(args(), jsonFile);
+    const report = JSON.parse(fs.readFileSync(jsonFile, "utf8"));
+    expect(report.summary.blurry).toBe(1);
+    expect(typeof report.generatedAt).toBe("string");
+    expect(report.photos[1]).not.toHaveProperty("previewPath");
+  });
+
+  test("writes a contact sheet, leaving frames empty when thumbnails fail", async () => {
+    const file = path.join(tmpDir, "sheet.html");
+    expect((await exportReport(args(), file, path.join(tmpDir, "thumbs"))).format).toBe("html");
+    const html = fs.readFileSync(file, "utf8");
+    expect(html).toContain("Blurry (1)");
+    expect(html).toContain("b.NEF");
+    expect(html).not.toContain("<img");
+  });
+
+  test("embeds thumbnails from the cache", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const file = path.join(tmpDir, "sheet.html");
+    await exportReport(args(), file, path.join(tmpDir, "thumbs"));
+    expect(fs.readFileSync(file, "utf8")).toContain('<img class="thumb" src="data:image/jpeg;base64,/9j/2Q=="');
+    expect(fs.readdirSync(path.join(tmpDir, "thumbs"))).toHaveLength(1);
+  });
+});
+
+describe("sessions", () => {
+  function sessionFor(files) {
+    return {
+      folders: [tmpDir],
+      settings: { metric: "laplacian", threshold: 650 },
+      photos: files.map((name) => {
+        const file = path.join(tmpDir, name);
+        const stat = fs.statSync(file);
+        return { name, path: file, size: stat.size, mtimeMs: stat.mtimeMs, score: 900 };
+      }),
+      selected: [path.join(tmpDir, files[0])],
+    };
+  }
+
+  test("round-trips a session", async () => {
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const file = path.join(tmpDir, "shoot.rbdsession");
+    const saved = await saveSession(file, sessionFor(["a.jpg"]));
+    expect(saved.version).toBe(1);
+
+    const { session, missing, changed } = await loadSession(file);
+    expect(session.settings.threshold).toBe(650);
+    expect(session.selected).toEqual([path.join(tmpDir, "a.jpg")]);
+    expect(typeof session.savedAt).toBe("string");
+    expect(missing).toEqual([]);
+    expect(changed).toEqual([]);
+  });
+
+  test("notices deleted and changed files", async () => {
+    for (const name of ["a.jpg", "b.jpg", "c.jpg"]) fs.writeFileSync(path.join(tmpDir, name), VALID_JPEG);
+    const file = path.join(tmpDir, "shoot.rbdsession");
+    await saveSession(file, sessionFor(["a.jpg", "b.jpg", "c.jpg"]));
+
+    fs.rmSync(path.join(tmpDir, "b.jpg"));
+    fs.appendFileSync(path.join(tmpDir, "c.jpg"), Buffer.alloc(4));
+
+    const { missing, changed } = await loadSession(file);
+    expect(missing).toEqual([path.join(tmpDir, "b.jpg")]);
+    expect(changed).toHaveLength(1);
+    expect(changed[0]).toMatchObject({ path: path.join(tmpDir, "c.jpg"), size: VALID_JPEG.length + 4 });
+  });
+
+  test("rejects files that are not sessions", async () => {
+    const file = path.join(tmpDir, "notes.rbdsession");
+    fs.writeFileSync(file, "{ nope");
+    expect(await loadSession(file)).toEqual({ error: "not a session file" });
+    fs.writeFileSync(file, JSON.stringify({ version: 99, folders: [], photos: [] }));
+    expect((await loadSession(file)).error).toMatch(/newer version/);
+    expect(await loadSession(path.join(tmpDir, "gone.rbdsession"))).toEqual({ error: "session file not found" });
+  });
+
+  test("keeps recent sessions newest first without duplicates or deleted files", async () => {
+    const recentFile = path.join(tmpDir, "userData", "recent-sessions.json");
+    const one = path.join(tmpDir, "one.rbdsession");
+    const two = path.join(tmpDir, "two.rbdsession");
+    fs.writeFileSync(path.join(tmpDir, "a.jpg"), VALID_JPEG);
+    const s1 = await saveSession(one, sessionFor(["a.jpg"]));
+    const s2 = await saveSession(two, sessionFor(["a.jpg"]));
+
+    await rememberSession(recentFile, one, s1);
+    await rememberSession(recentFile, two, s2);
+    await rememberSession(recentFile, one, s1);
+    let recent = await readRecentSessions(recentFile);
+    expect(recent.map((r) => r.path)).toEqual([one, two]);
+    expect(recent[0]).toMatchObject({ folders: [tmpDir], photoCount: 1 });
+
+    fs.rmSync(two);
+    recent = await readRecentSessions(recentFile);
+    expect(recent.map((r) => r.path)).toEqual([one]);
+  });
+});
@@ -4,11 +4,29 @@ contextBridge.exposeInMainWorld("api", {
   selectFolder: () => ipcRenderer.invoke("select-folder"),
   selectFolders: () => ipcRenderer.invoke("select-folders"),
   scanJpegs: (folderPath) => ipcRenderer.invoke("scan-jpegs", folderPath),
-  scanMultipleFolders: (folders) => ipcRenderer.invoke("scan-multiple-folders", folders),
+  scanMultipleFolders: (folders, options) => ipcRenderer.invoke("scan-multiple-folders", folders, options),
+  watchFolders: (folders, options, known) => ipcRenderer.invoke("watch-folders", folders, options, known),
+  unwatchFolders: () => ipcRenderer.invoke("unwatch-folders"),
+  onWatchedFiles: (callback) => ipcRenderer.on("watched-files", (_event, files) => callback(files)),
   readFileBase64: (filePath) => ipcRenderer.invoke("read-file-base64", filePath),
   validateJpeg: (filePath) => ipcRenderer.invoke("validate-jpeg", filePath),
+  readExif: (filePaths) => ipcRenderer.invoke("read-exif", filePaths),
+  lookupCachedScores: (files, settingsKey) => ipcRenderer.invoke("lookup-cached-scores", files, settingsKey),
+  storeCachedScores: (results, settingsKey) => ipcRenderer.invoke("store-cached-scores", results, settingsKey),
   generateThumbnail: (filePath, maxDimension) => ipcRenderer.invoke("generate-thumbnail", filePath, maxDimension),
+  queueThumbnails: (items, maxDimension, options) => ipcRenderer.invoke("queue-thumbnails", items, maxDimension, options),
+  onThumbnails: (callback) => ipcRenderer.on("thumbnails", (_event, batch) => callback(batch)),
+  storeThumbnail: (key, size, data) => ipcRenderer.invoke("store-thumbnail", key, size, data),
+  thumbnailCacheSize: () => ipcRenderer.invoke("thumbnail-cache-size"),
+  clearThumbnailCache: () => ipcRenderer.invoke("clear-thumbnail-cache"),
   moveToReview: (payload) => ipcRenderer.invoke("move-to-review", payload),
+  writeXmp: (payload) => ipcRenderer.invoke("write-xmp", payload),
+  exportReport: (report) => ipcRenderer.invoke("export-report", report),
+  saveSession: (state, filePath) => ipcRenderer.invoke("save-session", state, filePath),
+  openSession: (filePath) => ipcRenderer.invoke("open-session", filePath),
+  listRecentSessions: () => ipcRenderer.invoke("list-recent-sessions"),
+  listMoveHistory: () => ipcRenderer.invoke("list-move-history"),
+  undoMove: (reviewDir, operationId) => ipcRenderer.invoke("undo-move", reviewDir, operationId),
   selectOutputFolder: (defaultPath) => ipcRenderer.invoke("select-output-folder", defaultPath),
   showContextMenu: (filePath) => ipcRenderer.invoke("show-context-menu", filePath),
   openExternal: (url) => ipcRenderer.invoke("open-external", url),
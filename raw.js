@@ -0,0 +1,129 @@
+// Finds the embedded full-size JPEG preview in camera RAW files (CR3, NEF,
+// ARW), so they can be scored and shown without a RAW decoder. Works on the
+// bytes alone: every JPEG stream in the file is walked and the largest wins.
+// Files are read a window at a time, so a RAW is never held in memory whole.
+
+const RAW_PATTERN = /\.(cr3|nef|arw)$/i;
+
+const SOI = Buffer.from([0xFF, 0xD8, 0xFF]);
+
+// Baseline, extended and progressive frames decode in the browser. Some RAW
+// formats store sensor data as lossless JPEG (SOF3), which must be skipped.
+const DECODABLE_SOF = new Set([0xC0, 0xC1, 0xC2]);
+
+const WINDOW_BYTES = 4 * 1024 * 1024;
+
+// readJpegAt ran out of bytes before the image ended
+const TRUNCATED = Symbol("truncated");
+
+function isRawFile(name) {
+  return RAW_PATTERN.test(name);
+}
+
+function isSofMarker(marker) {
+  return marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+}
+
+// Walks the JPEG stream starting at `start`. Returns { start, end, width,
+// height } for a complete, decodable image, TRUNCATED when `buf` ends first,
+// otherwise null.
+function readJpegAt(buf, start) {
+  let offset = start + 2;
+  let width = 0, height = 0;
+  while (offset + 4 <= buf.length) {
+    if (buf[offset] !== 0xFF) return null;
+    const marker = buf[offset + 1];
+    if (marker === 0xFF) { offset++; continue; }
+    if (marker === 0xD9) return null;
+    const length = buf.readUInt16BE(offset + 2);
+    if (length < 2) return null;
+    if (isSofMarker(marker)) {
+      if (!DECODABLE_SOF.has(marker)) return null;
+      if (offset + 9 > buf.length) return TRUNCATED;
+      height = buf.readUInt16BE(offset + 5);
+      width = buf.readUInt16BE(offset + 7);
+    }
+    offset += 2 + length;
+    if (marker !== 0xDA) continue;
+    if (!width || !height) return null;
+
+    // Entropy-coded data runs to the next marker that is not a stuffed 0x00
+    // or a restart; progressive images continue with more segments and scans
+    let i = offset;
+    for (;;) {
+      i = buf.indexOf(0xFF, i);
+      if (i === -1 || i + 1 >= buf.length) return TRUNCATED;
+      const next = buf[i + 1];
+      if (next === 0x00 || (next >= 0xD0 && next <= 0xD7)) { i += 2; continue; }
+      if (next === 0xFF) { i++; continue; }
+      break;
+    }
+    if (buf[i + 1] === 0xD9) return { start, end: i + 2, width, height };
+    offset = i;
+  }
+  return TRUNCATED;
+}
+
+// The largest decodable JPEG in `buf` as { start, end, width, height }, or
+// null when there is none. Thumbnails nested inside a preview's Exif segment
+// are skipped along with it.
+function findEmbeddedJpeg(buf) {
+  let best = null;
+  let pos = 0;
+  while ((pos = buf.indexOf(SOI, pos)) !== -1) {
+    const jpeg = readJpegAt(buf, pos);
+    if (jpeg && jpeg !== TRUNCATED) {
+      if (!best || jpeg.width * jpeg.height > best.width * best.height) best = jpeg;
+      pos = jpeg.end;
+    } else {
+      pos += 2;
+    }
+  }
+  return best;
+}
+
+async function readRange(handle, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// Reads the image starting at `start`, where `buf` holds the bytes from
+// `start` on, growing the read until the image ends or the file does.
+async function readJpegInFile(handle, size, start, buf) {
+  for (;;) {
+    const jpeg = readJpegAt(buf, 0);
+    if (jpeg !== TRUNCATED) return jpeg && { ...jpeg, start, end: start + jpeg.end };
+    if (start + buf.length >= size) return null;
+    const grown = await readRange(handle, start, Math.min(buf.length * 2, size - start));
+    if (grown.length <= buf.length) return null;
+    buf = grown;
+  }
+}
+
+// findEmbeddedJpeg over an open file of `size` bytes, with offsets into the
+// file. Only one window, or the image being walked, is in memory at a time.
+async function findEmbeddedJpegInFile(handle, size) {
+  let best = null;
+  let pos = 0;
+  while (pos < size) {
+    const buf = await readRange(handle, pos, Math.min(WINDOW_BYTES, size - pos));
+    let next = null;
+    let at = 0;
+    while ((at = buf.indexOf(SOI, at)) !== -1) {
+      const jpeg = await readJpegInFile(handle, size, pos + at, buf.subarray(at));
+      if (jpeg) {
+        if (!best || jpeg.width * jpeg.height > best.width * best.height) best = jpeg;
+        next = jpeg.end;
+        break;
+      }
+      at += 2;
+    }
+    if (next !== null) pos = next;
+    else if (pos + buf.length >= size || buf.length <= SOI.length) break;
+    else pos += buf.length - (SOI.length - 1);
+  }
+  return best;
+}
+
+module.exports = { RAW_PATTERN, isRawFile, findEmbeddedJpeg, findEmbeddedJpegInFile };
@@ -0,0 +1,138 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { isRawFile, findEmbeddedJpeg, findEmbeddedJpegInFile } = require("./raw");
+
+function segment(marker, payload) {
+  const len = Buffer.alloc(2);
+  len.writeUInt16BE(payload.length + 2);
+  return Buffer.concat([Buffer.from([0xFF, marker]), len, payload]);
+}
+
+function sof(marker, width, height) {
+  const p = Buffer.alloc(15);
+  p[0] = 8;
+  p.writeUInt16BE(height, 1);
+  p.writeUInt16BE(width, 3);
+  p[5] = 3;
+  return segment(marker, p);
+}
+
+const SOS = segment(0xDA, Buffer.from([1, 1, 0, 0, 63, 0]));
+// Entropy data with a stuffed 0xFF and a restart marker
+const SCAN = Buffer.from([0x12, 0x34, 0xFF, 0x00, 0x56, 0xFF, 0xD0, 0x78]);
+
+function jpeg(width, height, { marker = 0xC0, app1 = Buffer.alloc(0), scans = 1, data = SCAN } = {}) {
+  const parts = [Buffer.from([0xFF, 0xD8])];
+  if (app1.length) parts.push(segment(0xE1, app1));
+  parts.push(segment(0xDB, Buffer.alloc(65)), sof(marker, width, height));
+  for (let i = 0; i < scans; i++) {
+    if (i > 0) parts.push(segment(0xC4, Buffer.alloc(20)));
+    parts.push(SOS, data);
+  }
+  parts.push(Buffer.from([0xFF, 0xD9]));
+  return Buffer.concat(parts);
+}
+
+// Stand-in for RAW sensor data around the embedded images
+const filler = (n) => Buffer.alloc(n, 0x5A);
+
+describe("isRawFile", () => {
+  test("matches CR3, NEF and ARW in any case", () => {
+    expect(isRawFile("IMG_0001.CR3")).toBe(true);
+    expect(isRawFile("dsc_0001.nef")).toBe(true);
+    expect(isRawFile("DSC01234.Arw")).toBe(true);
+    expect(isRawFile("IMG_0001.JPG")).toBe(false);
+    expect(isRawFile("notes.cr3.txt")).toBe(false);
+  });
+});
+
+describe("findEmbeddedJpeg", () => {
+  test("finds a JPEG between other data", () => {
+    const preview = jpeg(6000, 4000);
+    const buf = Buffer.concat([filler(300), preview, filler(500)]);
+    expect(findEmbeddedJpeg(buf)).toEqual({ start: 300, end: 300 + preview.length, width: 6000, height: 4000 });
+  });
+
+  test("picks the largest image", () => {
+    const thumb = jpeg(160, 120);
+    const preview = jpeg(1620, 1080);
+    const full = jpeg(6000, 4000);
+    const buf = Buffer.concat([filler(10), thumb, filler(10), full, filler(10), preview]);
+    const found = findEmbeddedJpeg(buf);
+    expect(found.width).toBe(6000);
+    expect(buf.subarray(found.start, found.end).equals(full)).toBe(true);
+  });
+
+  test("skips a thumbnail nested in the preview's Exif segment", () => {
+    const preview = jpeg(1620, 1080, { app1: Buffer.concat([Buffer.from("Exif\0\0", "latin1"), jpeg(160, 120)]) });
+    const found = findEmbeddedJpeg(Buffer.concat([filler(8), preview]));
+    expect(found).toEqual({ start: 8, end: 8 + preview.length, width: 1620, height: 1080 });
+  });
+
+  test("follows the scans of a progressive JPEG", () => {
+    const preview = jpeg(3000, 2000, { marker: 0xC2, scans: 3 });
+    expect(findEmbeddedJpeg(Buffer.concat([filler(4), preview])).end).toBe(4 + preview.length);
+  });
+
+  test("ignores lossless JPEG sensor data", () => {
+    const buf = Buffer.concat([jpeg(160, 120), jpeg(6000, 4000, { marker: 0xC3 })]);
+    expect(findEmbeddedJpeg(buf).width).toBe(160);
+  });
+
+  test("returns null for truncated or missing images", () => {
+    const preview = jpeg(6000, 4000);
+    expect(findEmbeddedJpeg(preview.subarray(0, preview.length - 2))).toBeNull();
+    expect(findEmbeddedJpeg(filler(1000))).toBeNull();
+    expect(findEmbeddedJpeg(Buffer.from([0xFF, 0xD8, 0xFF]))).toBeNull();
+  });
+});
+
+describe("findEmbeddedJpegInFile", () => {
+  const MB = 1024 * 1024;
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "raw-test-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function findInFile(buf) {
+    const file = path.join(tmpDir, "photo.NEF");
+    fs.writeFileSync(file, buf);
+    const handle = await fs.promises.open(file, "r");
+    try {
+      return await findEmbeddedJpegInFile(handle, buf.length);
+    } finally {
+      await handle.close();
+    }
+  }
+
+  test("finds the same image as findEmbeddedJpeg", async () => {
+    const buf = Buffer.concat([filler(10), jpeg(160, 120), filler(10), jpeg(6000, 4000), filler(10), jpeg(1620, 1080)]);
+    expect(await findInFile(buf)).toEqual(findEmbeddedJpeg(buf));
+  });
+
+  test("finds images that straddle or outgrow the read window", async () => {
+    const thumb = jpeg(160, 120);
+    const preview = jpeg(6000, 4000, { data: filler(5 * MB) });
+    const buf = Buffer.concat([filler(4 * MB - 1), thumb, filler(MB), preview, filler(100)]);
+    const found = await findInFile(buf);
+    expect(found).toEqual({ start: 5 * MB - 1 + thumb.length, end: 5 * MB - 1 + thumb.length + preview.length, width: 6000, height: 4000 });
+  });
+
+  test("finds a start marker split across windows", async () => {
+    const preview = jpeg(1620, 1080);
+    const buf = Buffer.concat([filler(4 * MB - 2), preview, filler(100)]);
+    expect((await findInFile(buf)).start).toBe(4 * MB - 2);
+  });
+
+  test("returns null for truncated or missing images", async () => {
+    const preview = jpeg(6000, 4000);
+    expect(await findInFile(Buffer.concat([filler(100), preview.subarray(0, preview.length - 2)]))).toBeNull();
+    expect(await findInFile(filler(1000))).toBeNull();
+  });
+});
@@ -0,0 +1,162 @@
+// Culling reports: the CLI's output and the GUI's Export Report. A report
+// lists every photo with its score, classification, EXIF and the action taken,
+// as JSON, CSV or a standalone HTML contact sheet.
+
+const path = require("path");
+
+const STATUS_ORDER = ["blurry", "borderline", "sharp", "error"];
+
+const STATUS_TITLES = { blurry: "Blurry", borderline: "Borderline", sharp: "Sharp", error: "Could not analyze" };
+
+function buildReport({ folders, metric, threshold, thresholdMethod, borderline, action, photos }) {
+  const count = (test) => photos.filter(test).length;
+  const hasDefect = (defect) => (p) => (p.defects || []).includes(defect);
+  return {
+    folders,
+    metric,
+    threshold,
+    thresholdMethod,
+    borderline,
+    action,
+    summary: {
+      total: photos.length,
+      sharp: count((p) => p.status === "sharp"),
+      borderline: count((p) => p.status === "borderline"),
+      blurry: count((p) => p.status === "blurry"),
+      error: count((p) => p.status === "error"),
+      overexposed: count(hasDefect("overexposed")),
+      underexposed: count(hasDefect("underexposed")),
+    },
+    photos,
+  };
+}
+
+// Where a moved photo ended up. Moves only record `movedTo` when the file was
+// renamed; otherwise it kept its name in the review folder.
+function movedPath(photo, report) {
+  if (photo.movedTo) return photo.movedTo;
+  const reviewDir = photo.reviewDir || report.reviewDir;
+  return photo.action === "moved" && reviewDir ? path.join(reviewDir, photo.name) : null;
+}
+
+function cameraName(exif) {
+  if (!exif || (!exif.make && !exif.model)) return null;
+  if (!exif.make) return exif.model;
+  if (!exif.model) return exif.make;
+  // Most cameras repeat the make in the model ("Canon EOS R5")
+  return exif.model.toLowerCase().startsWith(exif.make.toLowerCase()) ? exif.model : `${exif.make} ${exif.model}`;
+}
+
+function csvField(value) {
+  const str = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+const CSV_HEADER = [
+  "path", "name", "score", "status", "threshold", "action", "defects", "movedTo",
+  "captureTime", "camera", "lens", "iso", "exposureTime", "fNumber", "focalLength",
+];
+
+function formatCsv(report) {
+  const lines = report.photos.map((p) => {
+    const exif = p.exif || {};
+    return [
+      p.path, p.name, p.score, p.status, report.threshold, p.action, (p.defects || []).join(";"), movedPath(p, report),
+      exif.captureTime, cameraName(p.exif), exif.lens, exif.iso, exif.exposureTime, exif.fNumber, exif.focalLength,
+    ].map(csvField).join(",");
+  });
+  return [CSV_HEADER.join(","), ...lines].join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+
+function exposureTimeLabel(seconds) {
+  if (!seconds) return null;
+  return seconds >= 1 ? `${seconds}s` : `1/${Math.round(1 / seconds)}s`;
+}
+
+function exifLine(exif) {
+  if (!exif) return "";
+  return [
+    exposureTimeLabel(exif.exposureTime),
+    exif.fNumber ? `f/${exif.fNumber}` : null,
+    exif.iso ? `ISO ${exif.iso}` : null,
+    exif.focalLength ? `${exif.focalLength}mm` : null,
+  ].filter(Boolean).join(" · ");
+}
+
+const CONTACT_SHEET_CSS = `
+  body { margin: 0; padding: 24px; font: 13px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #111; color: #ddd; }
+  h1 { margin: 0 0 4px; font-size: 20px; color: #fff; }
+  h2 { margin: 32px 0 12px; font-size: 16px; color: #fff; border-bottom: 1px solid #333; padding-bottom: 6px; }
+  .meta { color: #888; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px; }
+  .card { background: #1c1c1c; border-radius: 6px; overflow: hidden; border-top: 3px solid #555; }
+  .card.blurry { border-top-color: #e5484d; }
+  .card.borderline { border-top-color: #f5a524; }
+  .card.sharp { border-top-color: #30a46c; }
+  .thumb { width: 100%; aspect-ratio: 3 / 2; object-fit: cover; display: block; background: #000; }
+  .info { padding: 8px; }
+  .name { color: #fff; font-weight: 600; word-break: break-all; }
+  .line { color: #999; margin-top: 2px; }
+  .tag { display: inline-block; margin: 4px 4px 0 0; padding: 1px 6px; border-radius: 3px; background: #333; color: #ccc; font-size: 11px; }
+  @media print { body { background: #fff; color: #000; } .card { background: #f4f4f4; break-inside: avoid; } h1, h2, .name { color: #000; } }
+`;
+
+function contactSheetCard(p, report, thumbnails) {
+  const thumb = thumbnails.get(p.path);
+  const moved = movedPath(p, report);
+  const tags = [...(p.defects || []).filter((d) => d !== "blurry"), p.action !== "none" ? p.action : null].filter(Boolean);
+  return `<div class="card ${escapeHtml(p.status)}">
+  ${thumb ? `<img class="thumb" src="${thumb}" alt="">` : `<div class="thumb"></div>`}
+  <div class="info">
+    <div class="name">${escapeHtml(p.name)}</div>
+    <div class="line">Score ${p.score < 0 ? "—" : escapeHtml(p.score)}${p.exif && p.exif.captureTime ? ` · ${escapeHtml(p.exif.captureTime)}` : ""}</div>
+    ${p.exif ? `<div class="line">${escapeHtml(exifLine(p.exif))}</div>` : ""}
+    ${moved ? `<div class="line" title="${escapeHtml(moved)}">Moved to ${escapeHtml(path.basename(path.dirname(moved)))}</div>` : ""}
+    ${p.error ? `<div class="line">${escapeHtml(p.error)}</div>` : ""}
+    ${tags.map((t) => `<span class="tag">${escapeHtml(t)}</span>`).join("")}
+  </div>
+</div>`;
+}
+
+// `thumbnails` maps photo paths to image data URLs; photos without one get
+// an empty frame
+function formatContactSheet(report, thumbnails = new Map()) {
+  const s = report.summary;
+  const sections = STATUS_ORDER.map((status) => {
+    const list = report.photos.filter((p) => p.status === status);
+    if (list.length === 0) return "";
+    return `<h2>${STATUS_TITLES[status]} (${list.length})</h2>
+<div class="grid">
+${list.map((p) => contactSheetCard(p, report, thumbnails)).join("\n")}
+</div>`;
+  }).join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Culling report — ${escapeHtml(report.folders.map((f) => path.basename(f)).join(", "))}</title>
+<style>${CONTACT_SHEET_CSS}</style>
+</head>
+<body>
+<h1>Culling report</h1>
+<div class="meta">${report.folders.map(escapeHtml).join("<br>")}</div>
+<div class="meta">${report.generatedAt ? `${escapeHtml(report.generatedAt)} · ` : ""}Metric ${escapeHtml(report.metric)} · threshold ${escapeHtml(report.threshold)}</div>
+<div class="meta">${s.total} photos · ${s.sharp} sharp · ${s.borderline} borderline · ${s.blurry} blurry${s.error > 0 ? ` · ${s.error} errors` : ""} · ${s.overexposed} overexposed · ${s.underexposed} underexposed</div>
+${sections}
+</body>
+</html>
+`;
+}
+
+function formatReport(report, format, thumbnails) {
+  if (format === "csv") return formatCsv(report);
+  if (format === "html") return formatContactSheet(report, thumbnails);
+  return JSON.stringify(report, null, 2) + "\n";
+}
+
+module.exports = { buildReport, movedPath, cameraName, formatCsv, formatContactSheet, formatReport };
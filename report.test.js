@@ -0,0 +1,117 @@
+const path = require("path");
+const { buildReport, movedPath, cameraName, formatCsv, formatContactSheet, formatReport } = require("./report");
+
+const HEADER = "path,name,score,status,threshold,action,defects,movedTo,captureTime,camera,lens,iso,exposureTime,fNumber,focalLength";
+
+const photo = (overrides) => ({ path: "/a/1.jpg", name: "1.jpg", score: 812.5, status: "sharp", action: "none", ...overrides });
+
+describe("buildReport", () => {
+  test("counts statuses and exposure defects", () => {
+    const report = buildReport({
+      folders: ["/a"],
+      metric: "laplacian",
+      threshold: 700,
+      borderline: 0.7,
+      photos: [
+        photo({ status: "sharp", defects: [] }),
+        photo({ status: "blurry", defects: ["blurry", "underexposed"] }),
+        photo({ status: "error", defects: [] }),
+      ],
+    });
+    expect(report.summary).toEqual({ total: 3, sharp: 1, borderline: 0, blurry: 1, error: 1, overexposed: 0, underexposed: 1 });
+    expect(report.threshold).toBe(700);
+  });
+});
+
+describe("movedPath", () => {
+  test("uses the renamed destination, else the review folder", () => {
+    expect(movedPath(photo({ action: "moved", movedTo: "/r/1_1.jpg" }), {})).toBe("/r/1_1.jpg");
+    expect(movedPath(photo({ action: "moved", reviewDir: "/r" }), {})).toBe(path.join("/r", "1.jpg"));
+    expect(movedPath(photo({ action: "moved" }), { reviewDir: "/cli" })).toBe(path.join("/cli", "1.jpg"));
+    expect(movedPath(photo({ action: "skipped" }), { reviewDir: "/cli" })).toBeNull();
+  });
+});
+
+describe("cameraName", () => {
+  test("avoids repeating the make", () => {
+    expect(cameraName({ make: "Canon", model: "Canon EOS R5" })).toBe("Canon EOS R5");
+    expect(cameraName({ make: "SONY", model: "ILCE-9M3" })).toBe("SONY ILCE-9M3");
+    expect(cameraName({ make: null, model: null })).toBeNull();
+    expect(cameraName(null)).toBeNull();
+  });
+});
+
+describe("formatCsv", () => {
+  test("writes a header and one row per photo", () => {
+    const csv = formatCsv({ threshold: 700, photos: [photo()] });
+    expect(csv).toBe(`${HEADER}\n/a/1.jpg,1.jpg,812.5,sharp,700,none,,,,,,,,,\n`);
+  });
+
+  test("joins multiple defects", () => {
+    const csv = formatCsv({ threshold: 700, photos: [photo({ score: 90, status: "blurry", defects: ["blurry", "underexposed"] })] });
+    expect(csv.split("\n")[1]).toBe("/a/1.jpg,1.jpg,90,blurry,700,none,blurry;underexposed,,,,,,,,");
+  });
+
+  test("quotes fields with commas and quotes", () => {
+    const csv = formatCsv({ threshold: 700, photos: [photo({ path: '/a/x, "y".jpg', name: 'x, "y".jpg', score: 1, status: "blurry" })] });
+    expect(csv.split("\n")[1]).toBe('"/a/x, ""y"".jpg","x, ""y"".jpg",1,blurry,700,none,,,,,,,,,');
+  });
+
+  test("adds where the photo went and its EXIF", () => {
+    const exif = { make: "Canon", model: "Canon EOS R5", lens: "RF70-200mm", iso: 800, exposureTime: 0.002, fNumber: 2.8, focalLength: 200, captureTime: "2026-04-12T09:15:02.120" };
+    const csv = formatCsv({ threshold: 700, photos: [photo({ action: "moved", movedTo: "/r/1_1.jpg", exif })] });
+    expect(csv.split("\n")[1]).toBe("/a/1.jpg,1.jpg,812.5,sharp,700,moved,,/r/1_1.jpg,2026-04-12T09:15:02.120,Canon EOS R5,RF70-200mm,800,0.002,2.8,200");
+  });
+});
+
+describe("formatContactSheet", () => {
+  const report = buildReport({
+    folders: ["/shoots/marathon"],
+    metric: "laplacian",
+    threshold: 700,
+    borderline: 0.7,
+    photos: [
+      photo({ path: "/a/sharp.jpg", name: "sharp.jpg", status: "sharp", exif: { iso: 800, exposureTime: 0.002, fNumber: 2.8 } }),
+      photo({ path: "/a/blur.jpg", name: "blur.jpg", score: 90, status: "blurry", defects: ["blurry", "overexposed"], action: "moved", reviewDir: "/a/review_blurry" }),
+      photo({ path: "/a/<odd>.jpg", name: "<odd>.jpg", score: 600, status: "borderline" }),
+    ],
+  });
+
+  test("groups photos by status, rejects first", () => {
+    const html = formatContactSheet(report);
+    expect(html.startsWith("<!DOCTYPE html>")).toBe(true);
+    const order = ["Blurry (1)", "Borderline (1)", "Sharp (1)"].map((h) => html.indexOf(h));
+    expect(order.every((i) => i > 0)).toBe(true);
+    expect([...order].sort((a, b) => a - b)).toEqual(order);
+    expect(html).not.toContain("Could not analyze");
+  });
+
+  test("shows scores, EXIF, defects and actions", () => {
+    const html = formatContactSheet(report);
+    expect(html).toContain("1/500s · f/2.8 · ISO 800");
+    expect(html).toContain('<span class="tag">overexposed</span>');
+    expect(html).toContain('<span class="tag">moved</span>');
+    expect(html).toContain("Moved to review_blurry");
+  });
+
+  test("embeds thumbnails and escapes names", () => {
+    const html = formatContactSheet(report, new Map([["/a/sharp.jpg", "data:image/jpeg;base64,AAAA"]]));
+    expect(html).toContain('<img class="thumb" src="data:image/jpeg;base64,AAAA"');
+    expect(html.match(/<img /g)).toHaveLength(1);
+    expect(html).toContain("&lt;odd&gt;.jpg");
+    expect(html).not.toContain("<odd>");
+  });
+});
+
+describe("formatReport", () => {
+  test("defaults to pretty-printed JSON", () => {
+    const report = { threshold: 700, photos: [] };
+    expect(JSON.parse(formatReport(report, "json"))).toEqual(report);
+  });
+
+  test("picks CSV or HTML by format", () => {
+    const report = buildReport({ folders: ["/a"], metric: "laplacian", threshold: 700, photos: [photo()] });
+    expect(formatReport(report, "csv").startsWith(HEADER)).toBe(true);
+    expect(formatReport(report, "html")).toContain("<html");
+  });
+});
@@ -0,0 +1,85 @@
+// Options for scanning folders: recursion depth and include / exclude glob
+// patterns. Patterns are matched against paths relative to the scanned folder
+// with "/" separators, ignoring case. Like .gitignore, a pattern without a
+// slash matches any single folder or file name ("*.CR3", "edits"), and one
+// with a slash matches from the top ("DCIM/1*", "**/rejects"). Supports *, **
+// and ?.
+
+const DEFAULT_MAX_DEPTH = 4;
+
+const DEFAULT_SCAN_OPTIONS = { recursive: false, maxDepth: DEFAULT_MAX_DEPTH, include: [], exclude: [] };
+
+function globToRegExp(pattern) {
+  let re = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "*" && pattern[i + 1] === "*") {
+      // "**/" also matches no folder at all
+      if (pattern[i + 2] === "/") {
+        re += "(?:.*/)?";
+        i += 2;
+      } else {
+        re += ".*";
+        i++;
+      }
+    } else if (c === "*") {
+      re += "[^/]*";
+    } else if (c === "?") {
+      re += "[^/]";
+    } else {
+      re += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`, "i");
+}
+
+// True when `relPath` or one of the folders above it matches `pattern`
+function matchesGlob(relPath, pattern) {
+  const glob = pattern.replace(/^\.?\/+/, "").replace(/\/+$/, "");
+  if (!glob) return false;
+  const re = globToRegExp(glob);
+  const segments = relPath.split("/");
+  if (!glob.includes("/")) return segments.some((s) => re.test(s));
+  for (let i = 1; i <= segments.length; i++) {
+    if (re.test(segments.slice(0, i).join("/"))) return true;
+  }
+  return false;
+}
+
+function matchesAny(relPath, patterns) {
+  return patterns.some((p) => matchesGlob(relPath, p));
+}
+
+// "*.jpg, DCIM/**" or one pattern per line -> ["*.jpg", "DCIM/**"]
+function parsePatterns(value) {
+  const list = Array.isArray(value) ? value : String(value || "").split(/[,\n]/);
+  return list.map((p) => String(p).trim()).filter(Boolean);
+}
+
+function normalizeScanOptions(options) {
+  const o = options || {};
+  const depth = parseInt(o.maxDepth, 10);
+  return {
+    recursive: !!o.recursive,
+    maxDepth: Number.isInteger(depth) && depth >= 0 ? depth : DEFAULT_MAX_DEPTH,
+    include: parsePatterns(o.include),
+    exclude: parsePatterns(o.exclude),
+  };
+}
+
+// Whether a file at `relPath` passes the include / exclude rules
+function passesScanRules(relPath, { include, exclude }) {
+  if (include.length > 0 && !matchesAny(relPath, include)) return false;
+  return !matchesAny(relPath, exclude);
+}
+
+module.exports = {
+  DEFAULT_MAX_DEPTH,
+  DEFAULT_SCAN_OPTIONS,
+  globToRegExp,
+  matchesGlob,
+  matchesAny,
+  parsePatterns,
+  normalizeScanOptions,
+  passesScanRules,
+};
@@ -0,0 +1,80 @@
+const {
+  DEFAULT_MAX_DEPTH,
+  globToRegExp,
+  matchesGlob,
+  parsePatterns,
+  normalizeScanOptions,
+  passesScanRules,
+} = require("./scan-rules");
+
+describe("globToRegExp", () => {
+  test("* and ? stay within one path segment", () => {
+    expect(globToRegExp("*.jpg").test("IMG_1.JPG")).toBe(true);
+    expect(globToRegExp("*.jpg").test("a/IMG_1.jpg")).toBe(false);
+    expect(globToRegExp("IMG_?.jpg").test("IMG_1.jpg")).toBe(true);
+    expect(globToRegExp("IMG_?.jpg").test("IMG_12.jpg")).toBe(false);
+  });
+
+  test("** crosses folders and **/ also matches none", () => {
+    expect(globToRegExp("DCIM/**").test("DCIM/100CANON/IMG_1.JPG")).toBe(true);
+    expect(globToRegExp("**/rejects").test("rejects")).toBe(true);
+    expect(globToRegExp("**/rejects").test("a/b/rejects")).toBe(true);
+  });
+
+  test("escapes regex characters", () => {
+    expect(globToRegExp("shot (1).jpg").test("shot (1).jpg")).toBe(true);
+    expect(globToRegExp("a+b.jpg").test("aab.jpg")).toBe(false);
+  });
+});
+
+describe("matchesGlob", () => {
+  test("a pattern without a slash matches any folder or file name", () => {
+    expect(matchesGlob("DCIM/100CANON/IMG_1.CR3", "*.cr3")).toBe(true);
+    expect(matchesGlob("DCIM/edits/IMG_1.JPG", "edits")).toBe(true);
+    expect(matchesGlob("DCIM/100CANON/IMG_1.JPG", "edits")).toBe(false);
+  });
+
+  test("a pattern with a slash matches from the top, including parent folders", () => {
+    expect(matchesGlob("DCIM/100CANON/IMG_1.JPG", "DCIM/1*")).toBe(true);
+    expect(matchesGlob("backup/DCIM/100CANON/IMG_1.JPG", "DCIM/1*")).toBe(false);
+    expect(matchesGlob("DCIM/100CANON/IMG_1.JPG", "./DCIM/100CANON/")).toBe(true);
+  });
+
+  test("an empty pattern matches nothing", () => {
+    expect(matchesGlob("a.jpg", "/")).toBe(false);
+  });
+});
+
+describe("parsePatterns", () => {
+  test("splits on commas and newlines and drops blanks", () => {
+    expect(parsePatterns("*.jpg, DCIM/**\n\n edits ")).toEqual(["*.jpg", "DCIM/**", "edits"]);
+    expect(parsePatterns(["a", " ", "b "])).toEqual(["a", "b"]);
+    expect(parsePatterns(undefined)).toEqual([]);
+  });
+});
+
+describe("normalizeScanOptions", () => {
+  test("fills in defaults", () => {
+    expect(normalizeScanOptions()).toEqual({ recursive: false, maxDepth: DEFAULT_MAX_DEPTH, include: [], exclude: [] });
+  });
+
+  test("accepts strings from form fields", () => {
+    expect(normalizeScanOptions({ recursive: 1, maxDepth: "2", include: "*.CR3", exclude: "" }))
+      .toEqual({ recursive: true, maxDepth: 2, include: ["*.CR3"], exclude: [] });
+    expect(normalizeScanOptions({ maxDepth: -3 }).maxDepth).toBe(DEFAULT_MAX_DEPTH);
+  });
+});
+
+describe("passesScanRules", () => {
+  const rules = (include, exclude) => normalizeScanOptions({ include, exclude });
+
+  test("everything passes without rules", () => {
+    expect(passesScanRules("a/b.jpg", rules())).toBe(true);
+  });
+
+  test("include limits the scan, exclude wins over include", () => {
+    expect(passesScanRules("100CANON/a.CR3", rules("*.cr3"))).toBe(true);
+    expect(passesScanRules("100CANON/a.JPG", rules("*.cr3"))).toBe(false);
+    expect(passesScanRules("edits/a.CR3", rules("*.cr3", "edits"))).toBe(false);
+  });
+});
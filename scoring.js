@@ -0,0 +1,645 @@
+// Blur scoring engine shared by the renderer (loaded with a <script> tag, where
+// it is exposed as `BlurScoring`) and the main process (via require).
+// Everything here works on decoded pixel data; decoding is left to the caller.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) {
+    module.exports = factory();
+  } else {
+    root.BlurScoring = factory();
+  }
+})(typeof self !== "undefined" ? self : this, function () {
+  // Bump when a change to this file alters analysis results, so cached ones are dropped
+  const ENGINE_VERSION = 2;
+  const ANALYSIS_SIZE = 400;
+  const CENTER_WEIGHT = 0.6;
+  // Tiles per side in "tiles" mode
+  const TILE_GRID = 3;
+  // Smallest custom region side, as a fraction of the frame
+  const MIN_REGION_SIZE = 0.05;
+
+  // The region blended with the full frame: the middle 40% ("center"), a
+  // user-drawn box in 0–1 fractions of the frame ("custom"), or the sharpest
+  // cell of a TILE_GRID x TILE_GRID grid ("tiles")
+  const DEFAULT_REGION = { mode: "center" };
+
+  // Returns a valid region, falling back to the center for anything unusable
+  function normalizeRegion(region) {
+    if (!region || region.mode === "center") return DEFAULT_REGION;
+    if (region.mode === "tiles") return { mode: "tiles" };
+    if (region.mode !== "custom") return DEFAULT_REGION;
+    const clamp = (v) => Math.min(1, Math.max(0, Math.round(Number(v) * 1000) / 1000));
+    const x1 = clamp(Math.min(region.x1, region.x2)), x2 = clamp(Math.max(region.x1, region.x2));
+    const y1 = clamp(Math.min(region.y1, region.y2)), y2 = clamp(Math.max(region.y1, region.y2));
+    if (!(x2 - x1 >= MIN_REGION_SIZE && y2 - y1 >= MIN_REGION_SIZE)) return DEFAULT_REGION;
+    return { mode: "custom", x1, y1, x2, y2 };
+  }
+
+  // Optional prefilter run on the grayscale image before any metric, to keep
+  // high-ISO grain from reading as detail
+  const DENOISE_MODES = ["off", "gaussian", "median"];
+
+  // Analysis settings chosen by the user: { region, denoise }
+  function normalizeSettings(settings) {
+    const { region, denoise } = settings || {};
+    return {
+      region: normalizeRegion(region),
+      denoise: DENOISE_MODES.includes(denoise) ? denoise : "off",
+    };
+  }
+
+  // Identifies every setting that affects a score; used as the score cache key.
+  // Defaults keep the original key so existing caches stay valid.
+  function engineSettingsKey(settings) {
+    const { region: r, denoise } = normalizeSettings(settings);
+    let key = `v${ENGINE_VERSION}:${ANALYSIS_SIZE}:${CENTER_WEIGHT}`;
+    if (r.mode === "tiles") key += `:tiles:${TILE_GRID}`;
+    if (r.mode === "custom") key += `:custom:${r.x1},${r.y1},${r.x2},${r.y2}`;
+    if (denoise !== "off") key += `:denoise:${denoise}`;
+    return key;
+  }
+
+  // Size an image is drawn at before scoring: longest side capped at ANALYSIS_SIZE
+  function analysisSize(width, height) {
+    let w = width, h = height;
+    const scale = ANALYSIS_SIZE / Math.max(w, h);
+    if (scale < 1) { w = Math.round(w * scale); h = Math.round(h * scale); }
+    return { width: w, height: h };
+  }
+
+  function toGrayscale(rgba, w, h) {
+    const gray = new Float32Array(w * h);
+    for (let i = 0; i < w * h; i++) {
+      gray[i] = 0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+    }
+    return gray;
+  }
+
+  // 4-neighbour Laplacian at an interior pixel
+  function laplacianAt(gray, w, idx) {
+    return gray[idx - w] + gray[idx + w] + gray[idx - 1] + gray[idx + 1] - 4 * gray[idx];
+  }
+
+  function laplacianVariance(gray, w, h) {
+    let sum = 0, sumSq = 0, count = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const lap = laplacianAt(gray, w, y * w + x);
+        sum += lap;
+        sumSq += lap * lap;
+        count++;
+      }
+    }
+    const mean = sum / count;
+    return sumSq / count - mean * mean;
+  }
+
+  function cropGray(gray, w, x1, y1, x2, y2) {
+    const cw = x2 - x1, ch = y2 - y1;
+    const out = new Float32Array(cw * ch);
+    for (let y = 0; y < ch; y++) {
+      for (let x = 0; x < cw; x++) {
+        out[y * cw + x] = gray[(y + y1) * w + (x + x1)];
+      }
+    }
+    return { gray: out, width: cw, height: ch };
+  }
+
+  // Crop by fractions of the frame, at least 3px per side so the 3x3
+  // kernels have an interior. `box` keeps the fractions for display.
+  function cropFraction(gray, w, h, fx1, fy1, fx2, fy2) {
+    const x1 = Math.min(Math.floor(w * fx1), w - 3), y1 = Math.min(Math.floor(h * fy1), h - 3);
+    const x2 = Math.max(Math.floor(w * fx2), x1 + 3), y2 = Math.max(Math.floor(h * fy2), y1 + 3);
+    return { ...cropGray(gray, w, x1, y1, x2, y2), box: { x1: fx1, y1: fy1, x2: fx2, y2: fy2 } };
+  }
+
+  // The crops a region scores: one box, or every tile
+  function regionCrops(gray, w, h, region) {
+    if (region.mode === "custom") {
+      return [cropFraction(gray, w, h, region.x1, region.y1, region.x2, region.y2)];
+    }
+    if (region.mode === "tiles") {
+      const tiles = [];
+      for (let ty = 0; ty < TILE_GRID; ty++) {
+        for (let tx = 0; tx < TILE_GRID; tx++) {
+          tiles.push(cropFraction(gray, w, h,
+            tx / TILE_GRID, ty / TILE_GRID, (tx + 1) / TILE_GRID, (ty + 1) / TILE_GRID));
+        }
+      }
+      return tiles;
+    }
+    return [cropFraction(gray, w, h, 0.3, 0.3, 0.7, 0.7)];
+  }
+
+  // The crop motion blur and the lightbox outline use: the only one, or the
+  // sharpest tile
+  function sharpestCrop(crops) {
+    let subject = crops[0];
+    if (crops.length > 1) {
+      let best = -Infinity;
+      for (const c of crops) {
+        const v = laplacianVariance(c.gray, c.width, c.height);
+        if (v > best) { best = v; subject = c; }
+      }
+    }
+    return subject;
+  }
+
+  // The part of the frame a region score comes from, as 0–1 fractions
+  function subjectBox(gray, w, h, region) {
+    return sharpestCrop(regionCrops(gray, w, h, normalizeRegion(region))).box;
+  }
+
+  // Blends `metric` over the full frame with its best value over the region crops
+  function regionWeighted(metric, gray, w, h, crops) {
+    const fullScore = metric(gray, w, h);
+    const regionScore = crops.reduce((best, c) => Math.max(best, metric(c.gray, c.width, c.height)), -Infinity);
+    return Math.round((CENTER_WEIGHT * regionScore + (1 - CENTER_WEIGHT) * fullScore) * 100) / 100;
+  }
+
+  // Region-weighted Laplacian score: blends the full frame with the scoring region
+  function scoreGray(gray, w, h, region = DEFAULT_REGION) {
+    return regionWeighted(laplacianVariance, gray, w, h, regionCrops(gray, w, h, normalizeRegion(region)));
+  }
+
+  // Scores RGBA pixel data (e.g. ImageData.data) already drawn at analysisSize()
+  function scoreImageData(rgba, w, h, region) {
+    return scoreGray(toGrayscale(rgba, w, h), w, h, region);
+  }
+
+  // Sobel gradients over the interior: mean squared magnitude (Tenengrad) and
+  // the structure tensor used for motion direction
+  function sobelStats(gray, w, h) {
+    let sumMag = 0, jxx = 0, jyy = 0, jxy = 0, count = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const tl = gray[(y - 1) * w + x - 1], tc = gray[(y - 1) * w + x], tr = gray[(y - 1) * w + x + 1];
+        const ml = gray[y * w + x - 1], mr = gray[y * w + x + 1];
+        const bl = gray[(y + 1) * w + x - 1], bc = gray[(y + 1) * w + x], br = gray[(y + 1) * w + x + 1];
+        const gx = tr + 2 * mr + br - tl - 2 * ml - bl;
+        const gy = bl + 2 * bc + br - tl - 2 * tc - tr;
+        sumMag += gx * gx + gy * gy;
+        jxx += gx * gx;
+        jyy += gy * gy;
+        jxy += gx * gy;
+        count++;
+      }
+    }
+    return { tenengrad: sumMag / count, jxx: jxx / count, jyy: jyy / count, jxy: jxy / count };
+  }
+
+  function tenengrad(gray, w, h) {
+    return sobelStats(gray, w, h).tenengrad;
+  }
+
+  // In-place radix-2 FFT; re.length must be a power of two
+  function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        [re[i], re[j]] = [re[j], re[i]];
+        [im[i], im[j]] = [im[j], im[i]];
+      }
+    }
+    for (let len = 2; len <= n; len <<= 1) {
+      const ang = (-2 * Math.PI) / len;
+      const wr = Math.cos(ang), wi = Math.sin(ang);
+      for (let i = 0; i < n; i += len) {
+        let cr = 1, ci = 0;
+        for (let k = 0; k < len / 2; k++) {
+          const a = i + k, b = a + len / 2;
+          const tr = re[b] * cr - im[b] * ci;
+          const ti = re[b] * ci + im[b] * cr;
+          re[b] = re[a] - tr; im[b] = im[a] - ti;
+          re[a] += tr; im[a] += ti;
+          const ncr = cr * wr - ci * wi;
+          ci = cr * wi + ci * wr;
+          cr = ncr;
+        }
+      }
+    }
+  }
+
+  const FFT_MAX_SIZE = 256;
+  // Radial frequency, as a fraction of the sampling rate, above which energy counts as detail
+  const FFT_HIGH_CUTOFF = 0.25;
+
+  function floorPow2(n) {
+    let p = 1;
+    while (p * 2 <= n) p *= 2;
+    return p;
+  }
+
+  // Share of spectral energy above FFT_HIGH_CUTOFF, in per mille, from a
+  // Hann-windowed power-of-two crop at the center of the image
+  function highFrequencyRatio(gray, w, h) {
+    const nw = floorPow2(Math.min(w, FFT_MAX_SIZE)), nh = floorPow2(Math.min(h, FFT_MAX_SIZE));
+    if (nw < 8 || nh < 8) return 0;
+    const ox = Math.floor((w - nw) / 2), oy = Math.floor((h - nh) / 2);
+
+    let mean = 0;
+    for (let y = 0; y < nh; y++) {
+      for (let x = 0; x < nw; x++) mean += gray[(y + oy) * w + x + ox];
+    }
+    mean /= nw * nh;
+
+    const re = new Float64Array(nw * nh), im = new Float64Array(nw * nh);
+    for (let y = 0; y < nh; y++) {
+      const wy = 0.5 - 0.5 * Math.cos((2 * Math.PI * y) / (nh - 1));
+      for (let x = 0; x < nw; x++) {
+        const wx = 0.5 - 0.5 * Math.cos((2 * Math.PI * x) / (nw - 1));
+        re[y * nw + x] = (gray[(y + oy) * w + x + ox] - mean) * wx * wy;
+      }
+    }
+
+    const rowRe = new Float64Array(nw), rowIm = new Float64Array(nw);
+    for (let y = 0; y < nh; y++) {
+      rowRe.set(re.subarray(y * nw, (y + 1) * nw)); rowIm.set(im.subarray(y * nw, (y + 1) * nw));
+      fft(rowRe, rowIm);
+      re.set(rowRe, y * nw); im.set(rowIm, y * nw);
+    }
+    const colRe = new Float64Array(nh), colIm = new Float64Array(nh);
+    for (let x = 0; x < nw; x++) {
+      for (let y = 0; y < nh; y++) { colRe[y] = re[y * nw + x]; colIm[y] = im[y * nw + x]; }
+      fft(colRe, colIm);
+      for (let y = 0; y < nh; y++) { re[y * nw + x] = colRe[y]; im[y * nw + x] = colIm[y]; }
+    }
+
+    let total = 0, high = 0;
+    for (let v = 0; v < nh; v++) {
+      const fv = (v < nh / 2 ? v : v - nh) / nh;
+      for (let u = 0; u < nw; u++) {
+        if (u === 0 && v === 0) continue;
+        const fu = (u < nw / 2 ? u : u - nw) / nw;
+        const power = re[v * nw + u] ** 2 + im[v * nw + u] ** 2;
+        total += power;
+        if (Math.sqrt(fu * fu + fv * fv) > FFT_HIGH_CUTOFF) high += power;
+      }
+    }
+    return total > 0 ? (high / total) * 1000 : 0;
+  }
+
+  // Direction in which detail is smeared, from the structure tensor: edges
+  // along the motion stay crisp, edges across it blur out. `angle` is in
+  // degrees counter-clockwise from horizontal (0-179); `strength` is the
+  // tensor's anisotropy, 0 for no preferred direction up to 1.
+  function motionBlur(gray, w, h) {
+    const { jxx, jyy, jxy } = sobelStats(gray, w, h);
+    const sum = jxx + jyy;
+    if (sum <= 0) return { angle: 0, strength: 0 };
+    const diff = Math.sqrt(((jxx - jyy) / 2) ** 2 + jxy ** 2);
+    const gradientAngle = 0.5 * Math.atan2(2 * jxy, jxx - jyy);
+    // Image y points down; report the blur axis in screen convention
+    const deg = (-(gradientAngle + Math.PI / 2) * 180) / Math.PI;
+    return { angle: Math.round(((deg % 180) + 180) % 180) % 180, strength: Math.round(((2 * diff) / sum) * 100) / 100 };
+  }
+
+  // Metric ids with the threshold slider range that suits each one's scale
+  const METRICS = {
+    laplacian: { label: "Laplacian", threshold: 700, min: 100, max: 2000, step: 10 },
+    tenengrad: { label: "Tenengrad", threshold: 5000, min: 500, max: 30000, step: 100 },
+    fft: { label: "FFT high-freq", threshold: 20, min: 1, max: 200, step: 1 },
+  };
+  const DEFAULT_METRIC = "laplacian";
+
+  // 5-tap binomial kernel (sigma ~1px), applied separably with edge clamping
+  function gaussianBlur(gray, w, h) {
+    const K = [1, 4, 6, 4, 1];
+    const tmp = new Float32Array(w * h);
+    const out = new Float32Array(w * h);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let sum = 0;
+        for (let k = -2; k <= 2; k++) sum += K[k + 2] * gray[y * w + Math.min(w - 1, Math.max(0, x + k))];
+        tmp[y * w + x] = sum / 16;
+      }
+    }
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let sum = 0;
+        for (let k = -2; k <= 2; k++) sum += K[k + 2] * tmp[Math.min(h - 1, Math.max(0, y + k)) * w + x];
+        out[y * w + x] = sum / 16;
+      }
+    }
+    return out;
+  }
+
+  // 3x3 median: removes grain while keeping edges better than a blur
+  function medianFilter(gray, w, h) {
+    const out = new Float32Array(w * h);
+    const win = new Float32Array(9);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        let n = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = Math.min(h - 1, Math.max(0, y + dy));
+          for (let dx = -1; dx <= 1; dx++) {
+            win[n++] = gray[yy * w + Math.min(w - 1, Math.max(0, x + dx))];
+          }
+        }
+        win.sort();
+        out[y * w + x] = win[4];
+      }
+    }
+    return out;
+  }
+
+  function denoiseGray(gray, w, h, mode) {
+    if (mode === "gaussian") return gaussianBlur(gray, w, h);
+    if (mode === "median") return medianFilter(gray, w, h);
+    return gray;
+  }
+
+  // ── Exposure ──
+  // Luminance at or beyond these levels counts as clipped / crushed
+  const HIGHLIGHT_LEVEL = 250;
+  const SHADOW_LEVEL = 5;
+
+  // Share of clipped highlights and crushed shadows (percent of the frame)
+  // and mean luminance (0-255) of the whole frame
+  function exposureStats(gray, w, h) {
+    const n = w * h;
+    if (n === 0) return { clippedHighlights: 0, crushedShadows: 0, meanExposure: 0 };
+    let clipped = 0, crushed = 0, sum = 0;
+    for (let i = 0; i < n; i++) {
+      const v = gray[i];
+      if (v >= HIGHLIGHT_LEVEL) clipped++;
+      else if (v <= SHADOW_LEVEL) crushed++;
+      sum += v;
+    }
+    const pct = (c) => Math.round((c / n) * 10000) / 100;
+    return { clippedHighlights: pct(clipped), crushedShadows: pct(crushed), meanExposure: Math.round((sum / n) * 10) / 10 };
+  }
+
+  // A frame is overexposed when too much of it is blown out or it is bright
+  // overall, and underexposed likewise for crushed shadows or a dark mean
+  const EXPOSURE_LIMITS = { clippedHighlights: 5, crushedShadows: 20, brightMean: 200, darkMean: 45 };
+  const DEFECTS = ["blurry", "overexposed", "underexposed"];
+
+  function exposureDefects(result, limits = EXPOSURE_LIMITS) {
+    if (!result || typeof result !== "object" || typeof result.meanExposure !== "number") return [];
+    const defects = [];
+    if (result.clippedHighlights > limits.clippedHighlights || result.meanExposure > limits.brightMean) defects.push("overexposed");
+    if (result.crushedShadows > limits.crushedShadows || result.meanExposure < limits.darkMean) defects.push("underexposed");
+    return defects;
+  }
+
+  // Every reason to cull a photo: its blur classification plus exposure
+  function photoDefects(status, result, limits = EXPOSURE_LIMITS) {
+    return [...(status === "blurry" ? ["blurry"] : []), ...exposureDefects(result, limits)];
+  }
+
+  // Every metric for one image. Sharpness metrics are region-weighted like the
+  // Laplacian score; motion is measured in the sharpest region crop.
+  function analyzeGray(rawGray, w, h, settings) {
+    const { region, denoise } = normalizeSettings(settings);
+    const gray = denoiseGray(rawGray, w, h, denoise);
+    const crops = regionCrops(gray, w, h, region);
+    const subject = sharpestCrop(crops);
+    const motion = motionBlur(subject.gray, subject.width, subject.height);
+    return {
+      laplacian: regionWeighted(laplacianVariance, gray, w, h, crops),
+      tenengrad: regionWeighted(tenengrad, gray, w, h, crops),
+      fft: regionWeighted(highFrequencyRatio, gray, w, h, crops),
+      motionAngle: motion.angle,
+      motionStrength: motion.strength,
+      // Exposure and likeness are judged on the image as shot, before any denoising
+      ...exposureStats(rawGray, w, h),
+      dHash: dHash(rawGray, w, h),
+      pHash: pHash(rawGray, w, h),
+    };
+  }
+
+  function analyzeImageData(rgba, w, h, settings) {
+    return analyzeGray(toGrayscale(rgba, w, h), w, h, settings);
+  }
+
+  // ── Focus peaking ──
+  // Per-pixel strength of the Laplacian response laplacianVariance() measures,
+  // 0–255, for the lightbox overlay. Scaled so the strongest edges read as
+  // 255, but never by less than FOCUS_MAP_FLOOR so a soft frame stays cold.
+  const FOCUS_MAP_SIZE = 1200;
+  const FOCUS_MAP_PERCENTILE = 0.99;
+  const FOCUS_MAP_FLOOR = 32;
+
+  function focusMap(gray, w, h) {
+    const response = new Float32Array(w * h);
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w - 1; x++) {
+        const idx = y * w + x;
+        response[idx] = Math.abs(laplacianAt(gray, w, idx));
+      }
+    }
+    const sorted = response.slice().sort();
+    const ref = Math.max(FOCUS_MAP_FLOOR, sorted[Math.floor(FOCUS_MAP_PERCENTILE * (sorted.length - 1))]);
+    const map = new Uint8ClampedArray(w * h);
+    for (let i = 0; i < map.length; i++) map[i] = (response[i] / ref) * 255;
+    return map;
+  }
+
+  // ── Perceptual hashes ──
+  // 64-bit fingerprints of how the frame looks overall, as 16 hex digits, for
+  // spotting near-duplicates. dHash compares neighbouring cells of a 9x8
+  // thumbnail; pHash compares the lowest 8x8 DCT frequencies of a 32x32 one
+  // with their median, which copes better with small shifts and exposure changes.
+  const PHASH_SIZE = 32;
+  const HASH_SIDE = 8;
+
+  // Mean of each cell of a tw x th grid laid over the image
+  function shrinkGray(gray, w, h, tw, th) {
+    const out = new Float32Array(tw * th);
+    for (let ty = 0; ty < th; ty++) {
+      const y1 = Math.floor((ty * h) / th), y2 = Math.max(y1 + 1, Math.floor(((ty + 1) * h) / th));
+      for (let tx = 0; tx < tw; tx++) {
+        const x1 = Math.floor((tx * w) / tw), x2 = Math.max(x1 + 1, Math.floor(((tx + 1) * w) / tw));
+        let sum = 0;
+        for (let y = y1; y < y2; y++) {
+          for (let x = x1; x < x2; x++) sum += gray[y * w + x];
+        }
+        out[ty * tw + tx] = sum / ((y2 - y1) * (x2 - x1));
+      }
+    }
+    return out;
+  }
+
+  function bitsToHex(bits) {
+    let hex = "";
+    for (let i = 0; i < bits.length; i += 4) {
+      hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+    }
+    return hex;
+  }
+
+  function dHash(gray, w, h) {
+    const small = shrinkGray(gray, w, h, HASH_SIDE + 1, HASH_SIDE);
+    const bits = [];
+    for (let y = 0; y < HASH_SIDE; y++) {
+      for (let x = 0; x < HASH_SIDE; x++) {
+        const idx = y * (HASH_SIDE + 1) + x;
+        bits.push(small[idx] < small[idx + 1] ? 1 : 0);
+      }
+    }
+    return bitsToHex(bits);
+  }
+
+  function pHash(gray, w, h) {
+    const n = PHASH_SIZE, k = HASH_SIDE;
+    const small = shrinkGray(gray, w, h, n, n);
+    const cos = new Float32Array(k * n);
+    for (let f = 0; f < k; f++) {
+      for (let i = 0; i < n; i++) cos[f * n + i] = Math.cos(((2 * i + 1) * f * Math.PI) / (2 * n));
+    }
+    // DCT-II along the rows, then down the columns, for the low frequencies only
+    const rows = new Float32Array(n * k);
+    for (let y = 0; y < n; y++) {
+      for (let u = 0; u < k; u++) {
+        let sum = 0;
+        for (let x = 0; x < n; x++) sum += small[y * n + x] * cos[u * n + x];
+        rows[y * k + u] = sum;
+      }
+    }
+    const coeffs = [];
+    for (let v = 0; v < k; v++) {
+      for (let u = 0; u < k; u++) {
+        let sum = 0;
+        for (let y = 0; y < n; y++) sum += rows[y * k + u] * cos[v * n + y];
+        coeffs.push(sum);
+      }
+    }
+    // The DC term is only the mean brightness, so it stays out of the median
+    const ac = coeffs.slice(1).sort((a, b) => a - b);
+    const median = ac[Math.floor(ac.length / 2)];
+    return bitsToHex(coeffs.map((c) => (c > median ? 1 : 0)));
+  }
+
+  // Grain grows with ISO and inflates every sharpness metric, so scores from
+  // high-ISO frames are scaled down: to half at ISO_NOISE_STOPS stops above
+  // ISO_BASE, a third at twice that
+  const ISO_BASE = 400;
+  const ISO_NOISE_STOPS = 6;
+
+  function isoFactor(iso) {
+    if (!(iso > ISO_BASE)) return 1;
+    return 1 / (1 + Math.log2(iso / ISO_BASE) / ISO_NOISE_STOPS);
+  }
+
+  // The score `metric` contributes to classify(); -1 for a failed analysis.
+  // Pass the photo's `iso` to normalize for grain.
+  function metricScore(result, metric = DEFAULT_METRIC, { iso = null } = {}) {
+    if (!result || typeof result !== "object") return -1;
+    const value = result[metric];
+    if (typeof value !== "number") return -1;
+    return iso ? Math.round(value * isoFactor(iso) * 100) / 100 : value;
+  }
+
+  // Scores from `borderline` x threshold up to the threshold are borderline
+  const BORDERLINE_RATIO = 0.7;
+
+  function classify(score, threshold, borderline = BORDERLINE_RATIO) {
+    if (score < 0) return "error";
+    if (score < threshold * borderline) return "blurry";
+    if (score < threshold) return "borderline";
+    return "sharp";
+  }
+
+  // Counts per bin over [min, max]; scores outside the range land in the end
+  // bins and failed analyses (negative scores) are left out
+  function scoreHistogram(scores, min, max, bins) {
+    const counts = new Array(bins).fill(0);
+    const width = (max - min) / bins;
+    for (const s of scores) {
+      if (s < 0) continue;
+      const i = width > 0 ? Math.floor((s - min) / width) : 0;
+      counts[Math.min(bins - 1, Math.max(0, i))]++;
+    }
+    return counts;
+  }
+
+  const AUTO_BINS = 24;
+  // Fewer photos than this don't make a meaningful distribution
+  const AUTO_MIN_PHOTOS = 20;
+  const AUTO_PERCENTILE = 0.2;
+
+  // Suggests a threshold from a shoot's scores. Blur scores spread over orders
+  // of magnitude, so this works on a log-scale histogram: the deepest valley
+  // between its two highest peaks separates blurry from sharp. When there is
+  // no clear valley it falls back to the AUTO_PERCENTILE percentile. Returns
+  // { threshold, method } or null when nothing was analyzed.
+  function suggestThreshold(scores) {
+    const valid = scores.filter((s) => s >= 0).sort((a, b) => a - b);
+    if (valid.length === 0) return null;
+
+    const logs = valid.map(Math.log1p);
+    const lo = logs[0], hi = logs[logs.length - 1];
+    if (valid.length >= AUTO_MIN_PHOTOS && hi > lo) {
+      const counts = scoreHistogram(logs, lo, hi, AUTO_BINS);
+      const smooth = counts.map((c, i) => ((counts[i - 1] ?? c) + 2 * c + (counts[i + 1] ?? c)) / 4);
+
+      const peaks = [];
+      for (let i = 0; i < AUTO_BINS; i++) {
+        if (smooth[i] > 0 && smooth[i] >= (smooth[i - 1] ?? 0) && smooth[i] > (smooth[i + 1] ?? 0)) peaks.push(i);
+      }
+      peaks.sort((a, b) => smooth[b] - smooth[a]);
+      if (peaks.length >= 2) {
+        const [left, right] = [peaks[0], peaks[1]].sort((a, b) => a - b);
+        let valley = left;
+        for (let i = left + 1; i < right; i++) if (smooth[i] < smooth[valley]) valley = i;
+        // Only a real dip counts, not a ripple on one broad peak
+        if (valley > left && smooth[valley] < 0.5 * Math.min(smooth[left], smooth[right])) {
+          const binWidth = (hi - lo) / AUTO_BINS;
+          return { threshold: Math.round(Math.expm1(lo + (valley + 0.5) * binWidth) * 100) / 100, method: "valley" };
+        }
+      }
+    }
+
+    return { threshold: valid[Math.floor(AUTO_PERCENTILE * (valid.length - 1))], method: "percentile" };
+  }
+
+  return {
+    ENGINE_VERSION,
+    ANALYSIS_SIZE,
+    CENTER_WEIGHT,
+    TILE_GRID,
+    DEFAULT_REGION,
+    normalizeRegion,
+    DENOISE_MODES,
+    normalizeSettings,
+    engineSettingsKey,
+    analysisSize,
+    toGrayscale,
+    laplacianAt,
+    laplacianVariance,
+    cropGray,
+    subjectBox,
+    scoreGray,
+    scoreImageData,
+    tenengrad,
+    highFrequencyRatio,
+    motionBlur,
+    METRICS,
+    DEFAULT_METRIC,
+    gaussianBlur,
+    medianFilter,
+    denoiseGray,
+    exposureStats,
+    EXPOSURE_LIMITS,
+    DEFECTS,
+    exposureDefects,
+    photoDefects,
+    analyzeGray,
+    analyzeImageData,
+    FOCUS_MAP_SIZE,
+    focusMap,
+    dHash,
+    pHash,
+    ISO_BASE,
+    isoFactor,
+    metricScore,
+    BORDERLINE_RATIO,
+    classify,
+    scoreHistogram,
+    suggestThreshold,
+  };
+});
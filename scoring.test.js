@@ -0,0 +1,751 @@
+const {
+  ENGINE_VERSION,
+  ANALYSIS_SIZE,
+  CENTER_WEIGHT,
+  TILE_GRID,
+  DEFAULT_REGION,
+  normalizeRegion,
+  DENOISE_MODES,
+  normalizeSettings,
+  engineSettingsKey,
+  analysisSize,
+  toGrayscale,
+  laplacianAt,
+  laplacianVariance,
+  cropGray,
+  subjectBox,
+  scoreGray,
+  scoreImageData,
+  tenengrad,
+  highFrequencyRatio,
+  motionBlur,
+  METRICS,
+  DEFAULT_METRIC,
+  gaussianBlur,
+  medianFilter,
+  denoiseGray,
+  exposureStats,
+  EXPOSURE_LIMITS,
+  DEFECTS,
+  exposureDefects,
+  photoDefects,
+  analyzeGray,
+  dHash,
+  pHash,
+  analyzeImageData,
+  focusMap,
+  ISO_BASE,
+  isoFactor,
+  metricScore,
+  BORDERLINE_RATIO,
+  classify,
+  scoreHistogram,
+  suggestThreshold,
+} = require("./scoring");
+const { hashDistance } = require("./duplicates");
+
+// Deterministic pseudo-random generator so synthetic images are stable
+function rng(seed) {
+  let s = seed >>> 0;
+  return () => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return s / 4294967296;
+  };
+}
+
+function makeRgba(w, h, fn) {
+  const data = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const v = fn(x, y);
+      const i = (y * w + x) * 4;
+      data[i] = v; data[i + 1] = v; data[i + 2] = v; data[i + 3] = 255;
+    }
+  }
+  return data;
+}
+
+function noiseImage(w, h, seed) {
+  const rand = rng(seed);
+  return makeRgba(w, h, () => Math.floor(rand() * 256));
+}
+
+function checkerboard(w, h, cell) {
+  return makeRgba(w, h, (x, y) => ((Math.floor(x / cell) + Math.floor(y / cell)) % 2 ? 255 : 0));
+}
+
+// Repeated box blur on each RGB channel, radius r
+function boxBlur(rgba, w, h, r, passes = 2) {
+  let src = Uint8ClampedArray.from(rgba);
+  for (let p = 0; p < passes; p++) {
+    const dst = new Uint8ClampedArray(src.length);
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        for (let c = 0; c < 4; c++) {
+          let sum = 0, n = 0;
+          for (let dy = -r; dy <= r; dy++) {
+            for (let dx = -r; dx <= r; dx++) {
+              const xx = Math.min(w - 1, Math.max(0, x + dx));
+              const yy = Math.min(h - 1, Math.max(0, y + dy));
+              sum += src[(yy * w + xx) * 4 + c];
+              n++;
+            }
+          }
+          dst[(y * w + x) * 4 + c] = Math.round(sum / n);
+        }
+      }
+    }
+    src = dst;
+  }
+  return src;
+}
+
+// The scoring code as it was inlined in index.html before it moved into
+// scoring.js. Scores must stay bit-for-bit identical to this.
+function legacyScore(data, w, h) {
+  function lapVar(gray, gw, gh) {
+    let sum = 0, sumSq = 0, count = 0;
+    for (let y = 1; y < gh - 1; y++) {
+      for (let x = 1; x < gw - 1; x++) {
+        const idx = y * gw + x;
+        const lap = gray[(y - 1) * gw + x] + gray[(y + 1) * gw + x] + gray[y * gw + (x - 1)] + gray[y * gw + (x + 1)] - 4 * gray[idx];
+        sum += lap;
+        sumSq += lap * lap;
+        count++;
+      }
+    }
+    const mean = sum / count;
+    return sumSq / count - mean * mean;
+  }
+  const gray = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  const fullScore = lapVar(gray, w, h);
+  const cx1 = Math.floor(w * 0.3), cx2 = Math.floor(w * 0.7);
+  const cy1 = Math.floor(h * 0.3), cy2 = Math.floor(h * 0.7);
+  const cw = cx2 - cx1, ch = cy2 - cy1;
+  const centerGray = new Float32Array(cw * ch);
+  for (let y = 0; y < ch; y++) {
+    for (let x = 0; x < cw; x++) {
+      centerGray[y * cw + x] = gray[(y + cy1) * w + (x + cx1)];
+    }
+  }
+  const centerScore = lapVar(centerGray, cw, ch);
+  return Math.round((0.6 * centerScore + 0.4 * fullScore) * 100) / 100;
+}
+
+describe("constants", () => {
+  test("keep the engine defaults", () => {
+    expect(ANALYSIS_SIZE).toBe(400);
+    expect(CENTER_WEIGHT).toBe(0.6);
+  });
+});
+
+describe("engineSettingsKey", () => {
+  test("includes the engine version and settings", () => {
+    expect(engineSettingsKey()).toBe(`v${ENGINE_VERSION}:400:0.6`);
+  });
+
+  test("keeps the original key for the default settings", () => {
+    expect(engineSettingsKey({ region: DEFAULT_REGION, denoise: "off" })).toBe(engineSettingsKey());
+  });
+
+  test("includes the scoring region", () => {
+    expect(engineSettingsKey({ region: { mode: "tiles" } })).toBe(`v${ENGINE_VERSION}:400:0.6:tiles:${TILE_GRID}`);
+    expect(engineSettingsKey({ region: { mode: "custom", x1: 0.1, y1: 0.5, x2: 0.6, y2: 1 } }))
+      .toBe(`v${ENGINE_VERSION}:400:0.6:custom:0.1,0.5,0.6,1`);
+  });
+
+  test("includes the denoise prefilter", () => {
+    expect(engineSettingsKey({ denoise: "median" })).toBe(`v${ENGINE_VERSION}:400:0.6:denoise:median`);
+    expect(engineSettingsKey({ region: { mode: "tiles" }, denoise: "gaussian" }))
+      .toBe(`v${ENGINE_VERSION}:400:0.6:tiles:${TILE_GRID}:denoise:gaussian`);
+  });
+});
+
+describe("normalizeRegion", () => {
+  test("defaults to the center", () => {
+    expect(normalizeRegion(undefined)).toEqual({ mode: "center" });
+    expect(normalizeRegion({ mode: "bogus" })).toEqual({ mode: "center" });
+  });
+
+  test("orders, clamps and rounds custom boxes", () => {
+    expect(normalizeRegion({ mode: "custom", x1: 0.9, y1: 1.2, x2: 0.12345, y2: 0.4 }))
+      .toEqual({ mode: "custom", x1: 0.123, y1: 0.4, x2: 0.9, y2: 1 });
+  });
+
+  test("falls back to the center for boxes that are too small", () => {
+    expect(normalizeRegion({ mode: "custom", x1: 0.5, y1: 0.5, x2: 0.51, y2: 0.9 })).toEqual({ mode: "center" });
+    expect(normalizeRegion({ mode: "custom", x1: "a", y1: 0, x2: 1, y2: 1 })).toEqual({ mode: "center" });
+  });
+});
+
+describe("analysisSize", () => {
+  test("scales landscape images to ANALYSIS_SIZE wide", () => {
+    expect(analysisSize(6000, 4000)).toEqual({ width: 400, height: 267 });
+  });
+
+  test("scales portrait images to ANALYSIS_SIZE tall", () => {
+    expect(analysisSize(4000, 6000)).toEqual({ width: 267, height: 400 });
+  });
+
+  test("never upscales small images", () => {
+    expect(analysisSize(320, 240)).toEqual({ width: 320, height: 240 });
+  });
+});
+
+describe("toGrayscale", () => {
+  test("uses Rec. 601 luma weights", () => {
+    const rgba = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255]);
+    const gray = toGrayscale(rgba, 3, 1);
+    expect(gray[0]).toBeCloseTo(76.245, 3);
+    expect(gray[1]).toBeCloseTo(149.685, 3);
+    expect(gray[2]).toBeCloseTo(29.07, 3);
+  });
+});
+
+describe("laplacianVariance", () => {
+  test("is zero for a flat image", () => {
+    expect(laplacianVariance(new Float32Array(100).fill(128), 10, 10)).toBe(0);
+  });
+
+  test("is zero for a linear gradient", () => {
+    const gray = new Float32Array(100);
+    for (let i = 0; i < 100; i++) gray[i] = (i % 10) * 10;
+    expect(laplacianVariance(gray, 10, 10)).toBeCloseTo(0, 6);
+  });
+
+  test("matches a hand-computed single impulse", () => {
+    // 5x5 with one bright pixel in the middle: interior Laplacian values are
+    // -400 at the center, 100 at its four neighbours and 0 at the corners.
+    const gray = new Float32Array(25);
+    gray[12] = 100;
+    const values = [-400, 100, 100, 100, 100, 0, 0, 0, 0];
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const expected = values.reduce((a, b) => a + b * b, 0) / values.length - mean * mean;
+    expect(laplacianVariance(gray, 5, 5)).toBeCloseTo(expected, 6);
+  });
+});
+
+describe("cropGray", () => {
+  test("extracts the requested rectangle", () => {
+    const gray = Float32Array.from({ length: 16 }, (_, i) => i);
+    const crop = cropGray(gray, 4, 1, 1, 3, 3);
+    expect(crop.width).toBe(2);
+    expect(crop.height).toBe(2);
+    expect(Array.from(crop.gray)).toEqual([5, 6, 9, 10]);
+  });
+});
+
+describe("scoreImageData", () => {
+  test("matches the previous inline implementation exactly", () => {
+    for (const [w, h, seed] of [[400, 267, 1], [267, 400, 2], [123, 77, 3]]) {
+      const noise = noiseImage(w, h, seed);
+      expect(scoreImageData(noise, w, h)).toBe(legacyScore(noise, w, h));
+      const blurred = boxBlur(noise, w, h, 1, 1);
+      expect(scoreImageData(blurred, w, h)).toBe(legacyScore(blurred, w, h));
+    }
+  });
+
+  test("equals scoreGray on the grayscale conversion", () => {
+    const img = checkerboard(60, 40, 3);
+    expect(scoreImageData(img, 60, 40)).toBe(scoreGray(toGrayscale(img, 60, 40), 60, 40));
+  });
+
+  test("rounds to two decimals", () => {
+    const score = scoreImageData(noiseImage(50, 50, 7), 50, 50);
+    expect(Math.round(score * 100) / 100).toBe(score);
+  });
+
+  test("is zero for a flat image", () => {
+    expect(scoreImageData(makeRgba(40, 30, () => 90), 40, 30)).toBe(0);
+  });
+
+  test("scores a sharp image far above its blurred copy", () => {
+    const sharp = checkerboard(120, 80, 4);
+    const blurred = boxBlur(sharp, 120, 80, 2);
+    const sharpScore = scoreImageData(sharp, 120, 80);
+    const blurScore = scoreImageData(blurred, 120, 80);
+    expect(sharpScore).toBeGreaterThan(blurScore * 5);
+  });
+
+  test("more blur gives a lower score", () => {
+    const base = noiseImage(80, 60, 11);
+    const light = scoreImageData(boxBlur(base, 80, 60, 1), 80, 60);
+    const heavy = scoreImageData(boxBlur(base, 80, 60, 3), 80, 60);
+    expect(heavy).toBeLessThan(light);
+  });
+
+  test("weights a sharp center above a sharp background", () => {
+    const w = 100, h = 100;
+    const sharp = checkerboard(w, h, 2);
+    const soft = boxBlur(sharp, w, h, 3);
+    const inCenter = (x, y) => x >= 30 && x < 70 && y >= 30 && y < 70;
+    const mix = (centerSrc, edgeSrc) => makeRgba(w, h, (x, y) =>
+      (inCenter(x, y) ? centerSrc : edgeSrc)[(y * w + x) * 4]);
+
+    const sharpSubject = scoreImageData(mix(sharp, soft), w, h);
+    const blurrySubject = scoreImageData(mix(soft, sharp), w, h);
+    expect(sharpSubject).toBeGreaterThan(blurrySubject);
+  });
+});
+
+describe("scoring regions", () => {
+  const w = 120, h = 90;
+  const sharp = checkerboard(w, h, 2);
+  const soft = boxBlur(sharp, w, h, 3);
+  // Sharp only in the bottom-left ninth of the frame, like a runner low and off-center
+  const offCenter = makeRgba(w, h, (x, y) =>
+    (x < w / 3 && y >= (2 * h) / 3 ? sharp : soft)[(y * w + x) * 4]);
+
+  test("a custom box matching the middle 40% equals the center score", () => {
+    const img = noiseImage(w, h, 5);
+    expect(scoreImageData(img, w, h, { mode: "custom", x1: 0.3, y1: 0.3, x2: 0.7, y2: 0.7 }))
+      .toBe(scoreImageData(img, w, h, { mode: "center" }));
+  });
+
+  test("a custom box over the subject scores above the center", () => {
+    const box = { mode: "custom", x1: 0, y1: 2 / 3, x2: 1 / 3, y2: 1 };
+    expect(scoreImageData(offCenter, w, h, box)).toBeGreaterThan(scoreImageData(offCenter, w, h) * 2);
+  });
+
+  test("tiles mode finds the sharp tile on its own", () => {
+    const tiles = scoreImageData(offCenter, w, h, { mode: "tiles" });
+    const box = scoreImageData(offCenter, w, h, { mode: "custom", x1: 0, y1: 2 / 3, x2: 1 / 3, y2: 1 });
+    expect(tiles).toBeCloseTo(box, 0);
+    expect(tiles).toBeGreaterThan(scoreImageData(offCenter, w, h) * 2);
+  });
+
+  test("tiny custom boxes still produce a finite score", () => {
+    const score = scoreImageData(noiseImage(20, 20, 9), 20, 20, { mode: "custom", x1: 0.95, y1: 0.95, x2: 1, y2: 1 });
+    expect(Number.isFinite(score)).toBe(true);
+  });
+});
+
+describe("subjectBox", () => {
+  const w = 120, h = 90;
+  const sharp = checkerboard(w, h, 2);
+  const soft = boxBlur(sharp, w, h, 3);
+  const offCenter = toGrayscale(makeRgba(w, h, (x, y) =>
+    (x < w / 3 && y >= (2 * h) / 3 ? sharp : soft)[(y * w + x) * 4]), w, h);
+
+  test("is the region's box, or the sharpest tile", () => {
+    expect(subjectBox(offCenter, w, h, DEFAULT_REGION)).toEqual({ x1: 0.3, y1: 0.3, x2: 0.7, y2: 0.7 });
+    expect(subjectBox(offCenter, w, h, { mode: "custom", x1: 0.1, y1: 0.2, x2: 0.5, y2: 0.6 }))
+      .toEqual({ x1: 0.1, y1: 0.2, x2: 0.5, y2: 0.6 });
+    expect(subjectBox(offCenter, w, h, { mode: "tiles" })).toEqual({ x1: 0, y1: 2 / 3, x2: 1 / 3, y2: 1 });
+  });
+});
+
+describe("focusMap", () => {
+  test("is the absolute Laplacian response, strongest edges at 255", () => {
+    const w = 40, h = 30;
+    const gray = toGrayscale(checkerboard(w, h, 4), w, h);
+    const map = focusMap(gray, w, h);
+    expect(map).toHaveLength(w * h);
+    expect(Math.max(...map)).toBe(255);
+    // Inside a checker cell there is no edge; the frame border is left at 0
+    expect(map[2 * w + 2]).toBe(0);
+    expect(map[0]).toBe(0);
+    const idx = 4 * w + 4;
+    expect(map[idx]).toBeGreaterThan(0);
+    expect(Math.abs(laplacianAt(gray, w, idx))).toBeGreaterThan(0);
+  });
+
+  test("keeps a soft frame cold", () => {
+    const w = 40, h = 30;
+    const faint = toGrayscale(makeRgba(w, h, (x) => (x < w / 2 ? 120 : 126)), w, h);
+    expect(Math.max(...focusMap(faint, w, h))).toBeLessThan(64);
+  });
+
+  test("sharp areas read hotter than soft ones", () => {
+    const w = 60, h = 40;
+    const sharp = checkerboard(w, h, 2);
+    const soft = boxBlur(sharp, w, h, 2);
+    const gray = toGrayscale(makeRgba(w, h, (x, y) => (x < w / 2 ? sharp : soft)[(y * w + x) * 4]), w, h);
+    const map = focusMap(gray, w, h);
+    let left = 0, right = 0;
+    for (let y = 1; y < h - 1; y++) {
+      for (let x = 1; x < w / 2 - 2; x++) left += map[y * w + x];
+      for (let x = w / 2 + 2; x < w - 1; x++) right += map[y * w + x];
+    }
+    expect(left).toBeGreaterThan(right * 3);
+  });
+});
+
+// Averages `len` pixels either side along (dx, dy), like a camera moving in that direction
+function smear(gray, w, h, dx, dy, len) {
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sum = 0;
+      for (let k = -len; k <= len; k++) {
+        const xx = Math.min(w - 1, Math.max(0, x + k * dx));
+        const yy = Math.min(h - 1, Math.max(0, y + k * dy));
+        sum += gray[yy * w + xx];
+      }
+      out[y * w + x] = sum / (2 * len + 1);
+    }
+  }
+  return out;
+}
+
+function noiseGray(w, h, seed) {
+  const rand = rng(seed);
+  return Float32Array.from({ length: w * h }, () => rand() * 255);
+}
+
+// Distance between two axis angles in degrees, where 0 and 180 are the same
+function axisDistance(a, b) {
+  const d = Math.abs(a - b) % 180;
+  return Math.min(d, 180 - d);
+}
+
+describe("tenengrad", () => {
+  test("is zero for a flat image", () => {
+    expect(tenengrad(new Float32Array(100).fill(50), 10, 10)).toBe(0);
+  });
+
+  test("drops with blur", () => {
+    const gray = noiseGray(80, 60, 4);
+    const blurred = smear(smear(gray, 80, 60, 1, 0, 2), 80, 60, 0, 1, 2);
+    expect(tenengrad(blurred, 80, 60)).toBeLessThan(tenengrad(gray, 80, 60) / 4);
+  });
+});
+
+describe("highFrequencyRatio", () => {
+  test("is zero for a flat image", () => {
+    expect(highFrequencyRatio(new Float32Array(64 * 64).fill(10), 64, 64)).toBe(0);
+  });
+
+  test("is a per-mille share", () => {
+    const ratio = highFrequencyRatio(noiseGray(64, 64, 1), 64, 64);
+    expect(ratio).toBeGreaterThan(0);
+    expect(ratio).toBeLessThanOrEqual(1000);
+  });
+
+  test("drops with blur", () => {
+    const gray = noiseGray(128, 96, 2);
+    const blurred = smear(smear(gray, 128, 96, 1, 0, 2), 128, 96, 0, 1, 2);
+    expect(highFrequencyRatio(blurred, 128, 96)).toBeLessThan(highFrequencyRatio(gray, 128, 96) / 4);
+  });
+
+  test("returns zero for images too small to transform", () => {
+    expect(highFrequencyRatio(noiseGray(6, 6, 1), 6, 6)).toBe(0);
+  });
+});
+
+describe("motionBlur", () => {
+  const w = 120, h = 90;
+  const gray = noiseGray(w, h, 8);
+
+  test("finds horizontal motion", () => {
+    const m = motionBlur(smear(gray, w, h, 1, 0, 4), w, h);
+    expect(axisDistance(m.angle, 0)).toBeLessThanOrEqual(3);
+    expect(m.strength).toBeGreaterThan(0.5);
+  });
+
+  test("finds vertical motion", () => {
+    const m = motionBlur(smear(gray, w, h, 0, 1, 4), w, h);
+    expect(axisDistance(m.angle, 90)).toBeLessThanOrEqual(3);
+  });
+
+  test("reports diagonals counter-clockwise from horizontal", () => {
+    // Image y grows downwards, so (1, -1) runs up and to the right
+    expect(axisDistance(motionBlur(smear(gray, w, h, 1, -1, 4), w, h).angle, 45)).toBeLessThanOrEqual(3);
+    expect(axisDistance(motionBlur(smear(gray, w, h, 1, 1, 4), w, h).angle, 135)).toBeLessThanOrEqual(3);
+  });
+
+  test("has no strength without a direction", () => {
+    expect(motionBlur(gray, w, h).strength).toBeLessThan(0.1);
+    expect(motionBlur(new Float32Array(w * h), w, h)).toEqual({ angle: 0, strength: 0 });
+  });
+});
+
+describe("analyzeGray", () => {
+  test("returns every metric, with the Laplacian matching scoreGray", () => {
+    const gray = toGrayscale(noiseImage(90, 60, 12), 90, 60);
+    const result = analyzeGray(gray, 90, 60);
+    expect(Object.keys(result).sort()).toEqual([
+      "clippedHighlights", "crushedShadows", "dHash", "fft", "laplacian", "meanExposure", "motionAngle", "motionStrength", "pHash", "tenengrad",
+    ]);
+    expect(result.laplacian).toBe(scoreGray(gray, 90, 60));
+    expect(analyzeGray(gray, 90, 60, { region: { mode: "tiles" } }).laplacian).toBe(scoreGray(gray, 90, 60, { mode: "tiles" }));
+  });
+
+  test("analyzeImageData converts to grayscale first", () => {
+    const img = checkerboard(40, 30, 3);
+    expect(analyzeImageData(img, 40, 30)).toEqual(analyzeGray(toGrayscale(img, 40, 30), 40, 30));
+  });
+
+  test("every metric ranks a sharp image above its blurred copy", () => {
+    const sharp = noiseGray(100, 80, 21);
+    const blurred = smear(smear(sharp, 100, 80, 1, 0, 2), 100, 80, 0, 1, 2);
+    const a = analyzeGray(sharp, 100, 80), b = analyzeGray(blurred, 100, 80);
+    for (const metric of Object.keys(METRICS)) expect(a[metric]).toBeGreaterThan(b[metric]);
+  });
+});
+
+describe("perceptual hashes", () => {
+  const w = 120, h = 80;
+  const scene = new Float32Array(w * h).map((_v, i) => 128 + 100 * Math.sin((i % w) / 9) * Math.cos(Math.floor(i / w) / 7));
+  const other = new Float32Array(w * h).map((_v, i) => 128 + 100 * Math.sin(Math.floor(i / w) / 5 + (i % w) / 13));
+
+  test.each([["dHash", dHash], ["pHash", pHash]])("%s is 16 hex digits", (_name, hash) => {
+    expect(hash(scene, w, h)).toMatch(/^[0-9a-f]{16}$/);
+  });
+
+  test.each([["dHash", dHash], ["pHash", pHash]])("%s shrugs off exposure and grain but not a different scene", (_name, hash) => {
+    const brighter = scene.map((v, i) => v * 1.05 + 3 + (i % 5));
+    expect(hashDistance(hash(scene, w, h), hash(brighter, w, h))).toBeLessThanOrEqual(2);
+    expect(hashDistance(hash(scene, w, h), hash(other, w, h))).toBeGreaterThan(16);
+  });
+
+  test("a downscaled copy hashes alike", () => {
+    const small = new Float32Array((w / 2) * (h / 2)).map((_v, i) => scene[Math.floor(i / (w / 2)) * 2 * w + (i % (w / 2)) * 2]);
+    expect(hashDistance(dHash(scene, w, h), dHash(small, w / 2, h / 2))).toBeLessThanOrEqual(4);
+    expect(hashDistance(pHash(scene, w, h), pHash(small, w / 2, h / 2))).toBeLessThanOrEqual(4);
+  });
+
+  test("analyzeGray hashes the frame before denoising", () => {
+    const gray = noiseGray(60, 40, 5);
+    expect(analyzeGray(gray, 60, 40, { denoise: "median" }).dHash).toBe(dHash(gray, 60, 40));
+  });
+});
+
+describe("normalizeSettings", () => {
+  test("fills in defaults and drops unknown denoise modes", () => {
+    expect(normalizeSettings()).toEqual({ region: { mode: "center" }, denoise: "off" });
+    expect(normalizeSettings({ denoise: "bilateral" }).denoise).toBe("off");
+    expect(DENOISE_MODES).toEqual(["off", "gaussian", "median"]);
+  });
+});
+
+describe("denoise prefilters", () => {
+  const w = 40, h = 30;
+
+  test("leave a flat image unchanged", () => {
+    const flat = new Float32Array(w * h).fill(77);
+    expect(Array.from(gaussianBlur(flat, w, h))).toEqual(Array.from(flat));
+    expect(Array.from(medianFilter(flat, w, h))).toEqual(Array.from(flat));
+  });
+
+  test("median removes an isolated hot pixel", () => {
+    const gray = new Float32Array(w * h).fill(10);
+    gray[15 * w + 20] = 255;
+    expect(medianFilter(gray, w, h)[15 * w + 20]).toBe(10);
+  });
+
+  test("gaussian preserves the mean", () => {
+    const gray = noiseGray(w, h, 3);
+    const mean = (a) => a.reduce((x, y) => x + y, 0) / a.length;
+    expect(mean(gaussianBlur(gray, w, h))).toBeCloseTo(mean(gray), 0);
+  });
+
+  test("off returns the input", () => {
+    const gray = noiseGray(w, h, 3);
+    expect(denoiseGray(gray, w, h, "off")).toBe(gray);
+  });
+
+  test("separate a sharp grainy frame from a soft grainy one better", () => {
+    const cw = 160, ch = 120;
+    const board = Float32Array.from({ length: cw * ch }, (_, i) =>
+      ((Math.floor((i % cw) / 4) + Math.floor(Math.floor(i / cw) / 4)) % 2 ? 200 : 50));
+    const soft = gaussianBlur(gaussianBlur(gaussianBlur(board, cw, ch), cw, ch), cw, ch);
+    const rand = rng(5);
+    const grain = (g) => g.map((v) => v + (rand() - 0.5) * 60);
+    const sharpNoisy = grain(board), softNoisy = grain(soft);
+
+    const ratio = (denoise) =>
+      analyzeGray(sharpNoisy, cw, ch, { denoise }).laplacian / analyzeGray(softNoisy, cw, ch, { denoise }).laplacian;
+    expect(ratio("gaussian")).toBeGreaterThan(ratio("off") * 2);
+    expect(ratio("median")).toBeGreaterThan(ratio("off") * 2);
+  });
+});
+
+describe("exposureStats", () => {
+  test("measures clipped highlights, crushed shadows and mean luminance", () => {
+    // 10x10: 20 blown-out, 30 black, 50 mid-grey pixels
+    const gray = new Float32Array(100).fill(128);
+    gray.fill(255, 0, 20);
+    gray.fill(0, 20, 50);
+    expect(exposureStats(gray, 10, 10)).toEqual({ clippedHighlights: 20, crushedShadows: 30, meanExposure: 115 });
+  });
+
+  test("handles an empty image", () => {
+    expect(exposureStats(new Float32Array(0), 0, 0)).toEqual({ clippedHighlights: 0, crushedShadows: 0, meanExposure: 0 });
+  });
+
+  test("is measured before denoising", () => {
+    const gray = noiseGray(60, 40, 5);
+    const plain = analyzeGray(gray, 60, 40);
+    const denoised = analyzeGray(gray, 60, 40, { denoise: "median" });
+    expect(denoised.meanExposure).toBe(plain.meanExposure);
+    expect(denoised.clippedHighlights).toBe(plain.clippedHighlights);
+  });
+});
+
+describe("exposureDefects", () => {
+  const stats = (clippedHighlights, crushedShadows, meanExposure) => ({ laplacian: 900, clippedHighlights, crushedShadows, meanExposure });
+
+  test("flags nothing for a well-exposed frame", () => {
+    expect(exposureDefects(stats(0.5, 2, 120))).toEqual([]);
+  });
+
+  test("flags blown highlights or a bright mean as overexposed", () => {
+    expect(exposureDefects(stats(EXPOSURE_LIMITS.clippedHighlights + 1, 0, 150))).toEqual(["overexposed"]);
+    expect(exposureDefects(stats(0, 0, EXPOSURE_LIMITS.brightMean + 1))).toEqual(["overexposed"]);
+  });
+
+  test("flags crushed shadows or a dark mean as underexposed", () => {
+    expect(exposureDefects(stats(0, EXPOSURE_LIMITS.crushedShadows + 1, 100))).toEqual(["underexposed"]);
+    expect(exposureDefects(stats(0, 0, EXPOSURE_LIMITS.darkMean - 1))).toEqual(["underexposed"]);
+  });
+
+  test("can flag both in a high-contrast frame", () => {
+    expect(exposureDefects(stats(30, 40, 120))).toEqual(["overexposed", "underexposed"]);
+  });
+
+  test("accepts custom limits", () => {
+    expect(exposureDefects(stats(3, 0, 120), { ...EXPOSURE_LIMITS, clippedHighlights: 2 })).toEqual(["overexposed"]);
+  });
+
+  test("ignores failed analyses and results without exposure stats", () => {
+    expect(exposureDefects(-1)).toEqual([]);
+    expect(exposureDefects(null)).toEqual([]);
+    expect(exposureDefects({ laplacian: 900 })).toEqual([]);
+  });
+});
+
+describe("photoDefects", () => {
+  test("combines the blur classification with exposure defects", () => {
+    const dark = { clippedHighlights: 0, crushedShadows: 50, meanExposure: 20 };
+    expect(photoDefects("blurry", dark)).toEqual(["blurry", "underexposed"]);
+    expect(photoDefects("borderline", dark)).toEqual(["underexposed"]);
+    expect(photoDefects("sharp", { clippedHighlights: 0, crushedShadows: 0, meanExposure: 120 })).toEqual([]);
+    expect(photoDefects("blurry", -1)).toEqual(["blurry"]);
+  });
+
+  test("every tag is a known defect", () => {
+    const worst = { clippedHighlights: 50, crushedShadows: 50, meanExposure: 120 };
+    for (const tag of photoDefects("blurry", worst)) expect(DEFECTS).toContain(tag);
+  });
+});
+
+describe("isoFactor", () => {
+  test("leaves base ISO and missing ISO alone", () => {
+    expect(isoFactor(ISO_BASE)).toBe(1);
+    expect(isoFactor(100)).toBe(1);
+    expect(isoFactor(null)).toBe(1);
+  });
+
+  test("shrinks as ISO rises", () => {
+    expect(isoFactor(6400)).toBeLessThan(isoFactor(1600));
+    expect(isoFactor(1600)).toBeLessThan(1);
+    expect(isoFactor(ISO_BASE * 64)).toBeCloseTo(0.5, 6);
+  });
+});
+
+describe("metricScore", () => {
+  const result = { laplacian: 812.5, tenengrad: 4000, fft: 33, motionAngle: 0, motionStrength: 0.1 };
+
+  test("picks the requested metric, Laplacian by default", () => {
+    expect(DEFAULT_METRIC).toBe("laplacian");
+    expect(metricScore(result)).toBe(812.5);
+    expect(metricScore(result, "fft")).toBe(33);
+  });
+
+  test("normalizes for ISO when given one", () => {
+    expect(metricScore(result, "laplacian", { iso: 6400 })).toBe(Math.round(812.5 * isoFactor(6400) * 100) / 100);
+    expect(metricScore(result, "laplacian", { iso: null })).toBe(812.5);
+    expect(metricScore(-1, "laplacian", { iso: 6400 })).toBe(-1);
+  });
+
+  test("is -1 for failed analyses and unknown metrics", () => {
+    expect(metricScore(-1)).toBe(-1);
+    expect(metricScore(null)).toBe(-1);
+    expect(metricScore(result, "bogus")).toBe(-1);
+  });
+
+  test("every metric has a default threshold inside its slider range", () => {
+    for (const m of Object.values(METRICS)) {
+      expect(m.threshold).toBeGreaterThanOrEqual(m.min);
+      expect(m.threshold).toBeLessThanOrEqual(m.max);
+    }
+  });
+});
+
+describe("classify", () => {
+  test("negative scores are errors", () => {
+    expect(classify(-1, 700)).toBe("error");
+  });
+
+  test("below 70% of threshold is blurry", () => {
+    expect(classify(489, 700)).toBe("blurry");
+  });
+
+  test("between 70% and the threshold is borderline", () => {
+    expect(classify(490, 700)).toBe("borderline");
+    expect(classify(699, 700)).toBe("borderline");
+  });
+
+  test("at or above the threshold is sharp", () => {
+    expect(classify(700, 700)).toBe("sharp");
+    expect(classify(5000, 700)).toBe("sharp");
+  });
+});
+
+describe("classify with a borderline band", () => {
+  test("defaults to 70% of the threshold", () => {
+    expect(BORDERLINE_RATIO).toBe(0.7);
+  });
+
+  test("moves the blurry cutoff with the band", () => {
+    expect(classify(600, 1000, 0.5)).toBe("borderline");
+    expect(classify(600, 1000, 0.9)).toBe("blurry");
+    expect(classify(950, 1000, 0.9)).toBe("borderline");
+  });
+});
+
+describe("scoreHistogram", () => {
+  test("counts scores per bin and clamps outliers", () => {
+    expect(scoreHistogram([0, 5, 10, 15, 19.9, 25, -1], 0, 20, 4)).toEqual([1, 1, 1, 3]);
+  });
+
+  test("handles a zero-width range", () => {
+    expect(scoreHistogram([3, 3, 3], 3, 3, 2)).toEqual([3, 0]);
+  });
+});
+
+describe("suggestThreshold", () => {
+  // Log-normal-ish cluster around `center`
+  function cluster(center, count, seed) {
+    const rand = rng(seed);
+    return Array.from({ length: count }, () => Math.round(center * Math.exp((rand() - 0.5) * 0.8)));
+  }
+
+  test("finds the valley between blurry and sharp clusters", () => {
+    const scores = [...cluster(150, 40, 1), ...cluster(1500, 120, 2)];
+    const { threshold, method } = suggestThreshold(scores);
+    expect(method).toBe("valley");
+    expect(threshold).toBeGreaterThan(220);
+    expect(threshold).toBeLessThan(1000);
+  });
+
+  test("falls back to a percentile for a single cluster", () => {
+    const scores = cluster(800, 100, 3);
+    const sorted = [...scores].sort((a, b) => a - b);
+    expect(suggestThreshold(scores)).toEqual({ threshold: sorted[Math.floor(0.2 * 99)], method: "percentile" });
+  });
+
+  test("uses the percentile for small shoots", () => {
+    expect(suggestThreshold([100, 2000, 2100]).method).toBe("percentile");
+  });
+
+  test("ignores failed analyses", () => {
+    expect(suggestThreshold([-1, -1, 500])).toEqual({ threshold: 500, method: "percentile" });
+    expect(suggestThreshold([-1])).toBeNull();
+    expect(suggestThreshold([])).toBeNull();
+  });
+});
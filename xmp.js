@@ -0,0 +1,157 @@
+// XMP metadata for sidecars and embedded JPEG packets. Ratings and labels go
+// in the standard xmp: namespace so Lightroom and Capture One pick them up;
+// the raw score lives in our own rbd: namespace.
+
+const NS_X = "adobe:ns:meta/";
+const NS_RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+const NS_XMP = "http://ns.adobe.com/xap/1.0/";
+const NS_RBD = "https://github.com/reinaldosimoes/race-blur-detector/ns/1.0/";
+
+// Star rating and color label written for each classification
+const CLASSIFICATION_XMP = {
+  sharp: { rating: 3, label: "Green" },
+  borderline: { rating: 2, label: "Yellow" },
+  blurry: { rating: 1, label: "Red" },
+};
+
+// APP1 segments carrying XMP start with this identifier
+const JPEG_XMP_HEADER = Buffer.from(`${NS_XMP}\0`, "latin1");
+const MAX_SEGMENT_LENGTH = 0xFFFF;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Properties to write for one photo, as [qualified name, value] pairs
+function xmpFields(photo, threshold, { rating = true, label = true } = {}) {
+  const mapping = CLASSIFICATION_XMP[photo.status];
+  const fields = [];
+  if (mapping && rating) fields.push(["xmp:Rating", mapping.rating]);
+  if (mapping && label) fields.push(["xmp:Label", mapping.label]);
+  fields.push(["rbd:Score", photo.score]);
+  fields.push(["rbd:Classification", photo.status]);
+  fields.push(["rbd:Threshold", threshold]);
+  return fields;
+}
+
+function attributes(fields) {
+  return fields.map(([name, value]) => `${name}="${escapeXml(value)}"`);
+}
+
+function createXmp(fields) {
+  return [
+    `<x:xmpmeta xmlns:x="${NS_X}" x:xmptk="Race Blur Detector">`,
+    ` <rdf:RDF xmlns:rdf="${NS_RDF}">`,
+    `  <rdf:Description rdf:about=""`,
+    `    xmlns:xmp="${NS_XMP}"`,
+    `    xmlns:rbd="${NS_RBD}"`,
+    ...attributes(fields).map((a) => `    ${a}`),
+    `  />`,
+    ` </rdf:RDF>`,
+    `</x:xmpmeta>`,
+    "",
+  ].join("\n");
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Sets `fields` in an existing XMP document and keeps everything else.
+// Any previous value of a field, in attribute or element form, is replaced.
+// Returns null when there is no rdf:Description to add to.
+function mergeXmp(existing, fields) {
+  let out = existing;
+  for (const [name] of fields) {
+    const n = escapeRegExp(name);
+    out = out
+      .replace(new RegExp(`\\s+${n}\\s*=\\s*(?:"[^"]*"|'[^']*')`, "g"), "")
+      .replace(new RegExp(`\\s*<${n}(?:\\s[^>]*)?>[\\s\\S]*?</${n}>`, "g"), "")
+      .replace(new RegExp(`\\s*<${n}(?:\\s[^>]*)?/>`, "g"), "");
+  }
+
+  const match = /<rdf:Description\b[^>]*?(\/?)>/.exec(out);
+  if (!match) return null;
+
+  const tag = match[0];
+  const close = match[1] ? "/>" : ">";
+  let open = tag.slice(0, tag.length - close.length).replace(/\s+$/, "");
+  if (!/\sxmlns:xmp\s*=/.test(open)) open += `\n    xmlns:xmp="${NS_XMP}"`;
+  if (!/\sxmlns:rbd\s*=/.test(open)) open += `\n    xmlns:rbd="${NS_RBD}"`;
+  open += attributes(fields).map((a) => `\n    ${a}`).join("");
+
+  return out.slice(0, match.index) + open + close + out.slice(match.index + tag.length);
+}
+
+function wrapPacket(xml) {
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n${xml}<?xpacket end="w"?>`;
+}
+
+// Walks the JPEG header segments up to the image data. Returns the XMP APP1
+// segment (if any) and where a new one belongs: after the leading APP0/APP1
+// (JFIF/Exif) segments.
+function scanJpegSegments(buf) {
+  let offset = 2;
+  let insertAt = 2;
+  let leading = true;
+  let xmp = null;
+  while (offset + 4 <= buf.length && buf[offset] === 0xFF) {
+    const marker = buf[offset + 1];
+    if (marker === 0xFF) { offset++; continue; }
+    if (marker === 0xDA || marker === 0xD9) break;
+    const end = offset + 2 + buf.readUInt16BE(offset + 2);
+    if (marker === 0xE1 && buf.subarray(offset + 4, offset + 4 + JPEG_XMP_HEADER.length).equals(JPEG_XMP_HEADER)) {
+      xmp = { start: offset, end, packet: buf.toString("utf8", offset + 4 + JPEG_XMP_HEADER.length, end) };
+    }
+    if (leading && (marker === 0xE0 || marker === 0xE1)) insertAt = end;
+    else leading = false;
+    offset = end;
+  }
+  return { xmp, insertAt };
+}
+
+function readJpegXmp(buf) {
+  if (buf.length < 2 || buf[0] !== 0xFF || buf[1] !== 0xD8) return null;
+  const { xmp } = scanJpegSegments(buf);
+  return xmp ? xmp.packet : null;
+}
+
+// Returns a copy of the JPEG with `fields` merged into its XMP packet (or a
+// new packet). Throws when the file isn't a JPEG or the packet can't be merged.
+function embedXmp(buf, fields) {
+  if (buf.length < 2 || buf[0] !== 0xFF || buf[1] !== 0xD8) throw new Error("not a valid JPEG");
+  const { xmp, insertAt } = scanJpegSegments(buf);
+
+  let packet;
+  if (xmp) {
+    packet = mergeXmp(xmp.packet, fields);
+    if (packet === null) throw new Error("existing XMP could not be parsed; left unchanged");
+  } else {
+    packet = wrapPacket(createXmp(fields));
+  }
+
+  const body = Buffer.concat([JPEG_XMP_HEADER, Buffer.from(packet, "utf8")]);
+  if (body.length + 2 > MAX_SEGMENT_LENGTH) throw new Error("XMP packet too large to embed");
+  const header = Buffer.alloc(4);
+  header[0] = 0xFF;
+  header[1] = 0xE1;
+  header.writeUInt16BE(body.length + 2, 2);
+  const segment = Buffer.concat([header, body]);
+
+  if (xmp) return { buffer: Buffer.concat([buf.subarray(0, xmp.start), segment, buf.subarray(xmp.end)]), merged: true };
+  return { buffer: Buffer.concat([buf.subarray(0, insertAt), segment, buf.subarray(insertAt)]), merged: false };
+}
+
+module.exports = {
+  NS_RBD,
+  CLASSIFICATION_XMP,
+  xmpFields,
+  createXmp,
+  mergeXmp,
+  readJpegXmp,
+  embedXmp,
+};
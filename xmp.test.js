@@ -0,0 +1,155 @@
+const { NS_RBD, xmpFields, createXmp, mergeXmp, readJpegXmp, embedXmp } = require("./xmp");
+
+// SOI, APP0 JFIF stub, SOS stub, EOI
+const JFIF_JPEG = Buffer.from([
+  0xFF, 0xD8,
+  0xFF, 0xE0, 0x00, 0x06, 0x4A, 0x46, 0x49, 0x46,
+  0xFF, 0xDA, 0x00, 0x02,
+  0x12, 0x34,
+  0xFF, 0xD9,
+]);
+
+const LIGHTROOM_SIDECAR = `<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Adobe XMP Core 7.0">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about=""
+    xmlns:xmp="http://ns.adobe.com/xap/1.0/"
+    xmlns:dc="http://purl.org/dc/elements/1.1/"
+    xmp:Rating="5"
+    xmp:CreatorTool="Lightroom">
+   <dc:subject>
+    <rdf:Bag>
+     <rdf:li>finish line</rdf:li>
+    </rdf:Bag>
+   </dc:subject>
+  </rdf:Description>
+ </rdf:RDF>
+</x:xmpmeta>
+`;
+
+const FIELDS = [["xmp:Rating", 1], ["xmp:Label", "Red"], ["rbd:Score", 123.45], ["rbd:Classification", "blurry"], ["rbd:Threshold", 700]];
+
+describe("xmpFields", () => {
+  test("maps classification to rating and label plus score fields", () => {
+    expect(xmpFields({ score: 812.5, status: "sharp" }, 700)).toEqual([
+      ["xmp:Rating", 3],
+      ["xmp:Label", "Green"],
+      ["rbd:Score", 812.5],
+      ["rbd:Classification", "sharp"],
+      ["rbd:Threshold", 700],
+    ]);
+  });
+
+  test("can leave out rating or label", () => {
+    const names = (opts) => xmpFields({ score: 400, status: "borderline" }, 700, opts).map(([n]) => n);
+    expect(names({ rating: false })).not.toContain("xmp:Rating");
+    expect(names({ label: false })).not.toContain("xmp:Label");
+    expect(names({ label: false })).toContain("xmp:Rating");
+  });
+});
+
+describe("createXmp", () => {
+  test("writes fields as attributes with both namespaces declared", () => {
+    const xml = createXmp(FIELDS);
+    expect(xml).toContain('xmp:Rating="1"');
+    expect(xml).toContain('xmp:Label="Red"');
+    expect(xml).toContain('rbd:Score="123.45"');
+    expect(xml).toContain(`xmlns:rbd="${NS_RBD}"`);
+    expect(xml).toContain('xmlns:xmp="http://ns.adobe.com/xap/1.0/"');
+  });
+
+  test("escapes attribute values", () => {
+    expect(createXmp([["rbd:Classification", 'a"<b>&']])).toContain('rbd:Classification="a&quot;&lt;b&gt;&amp;"');
+  });
+});
+
+describe("mergeXmp", () => {
+  test("keeps unrelated metadata", () => {
+    const xml = mergeXmp(LIGHTROOM_SIDECAR, FIELDS);
+    expect(xml).toContain('xmp:CreatorTool="Lightroom"');
+    expect(xml).toContain("<rdf:li>finish line</rdf:li>");
+    expect(xml).toContain('x:xmptk="Adobe XMP Core 7.0"');
+  });
+
+  test("replaces an existing rating instead of duplicating it", () => {
+    const xml = mergeXmp(LIGHTROOM_SIDECAR, FIELDS);
+    expect(xml).not.toContain('xmp:Rating="5"');
+    expect(xml.match(/xmp:Rating=/g)).toHaveLength(1);
+    expect(xml).toContain('xmp:Rating="1"');
+  });
+
+  test("declares the rbd namespace once and reuses an existing xmp declaration", () => {
+    const xml = mergeXmp(LIGHTROOM_SIDECAR, FIELDS);
+    expect(xml.match(/xmlns:rbd=/g)).toHaveLength(1);
+    expect(xml.match(/xmlns:xmp=/g)).toHaveLength(1);
+  });
+
+  test("replaces element-form properties", () => {
+    const existing = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/"><xmp:Rating>4</xmp:Rating><xmp:Label>Blue</xmp:Label></rdf:Description>
+</rdf:RDF></x:xmpmeta>`;
+    const xml = mergeXmp(existing, FIELDS);
+    expect(xml).not.toContain("<xmp:Rating>");
+    expect(xml).not.toContain("Blue");
+    expect(xml).toContain('xmp:Label="Red"');
+    expect(xml).toContain("</rdf:Description>");
+  });
+
+  test("is idempotent when merged twice", () => {
+    const once = mergeXmp(LIGHTROOM_SIDECAR, FIELDS);
+    expect(mergeXmp(once, FIELDS)).toBe(once);
+  });
+
+  test("merges into a self-closing description", () => {
+    const xml = mergeXmp(createXmp([["rbd:Score", 1]]), FIELDS);
+    expect(xml).toMatch(/rbd:Threshold="700"\s*\/>/);
+    expect(xml.match(/rbd:Score=/g)).toHaveLength(1);
+  });
+
+  test("does not touch similarly named properties", () => {
+    const existing = LIGHTROOM_SIDECAR.replace('xmp:CreatorTool="Lightroom"', 'xmp:RatingPercent="80"');
+    expect(mergeXmp(existing, FIELDS)).toContain('xmp:RatingPercent="80"');
+  });
+
+  test("returns null without an rdf:Description", () => {
+    expect(mergeXmp("<not-xmp/>", FIELDS)).toBeNull();
+  });
+});
+
+describe("embedXmp", () => {
+  test("inserts an XMP APP1 segment after APP0", () => {
+    const { buffer, merged } = embedXmp(JFIF_JPEG, FIELDS);
+    expect(merged).toBe(false);
+    expect(buffer.subarray(0, 2)).toEqual(Buffer.from([0xFF, 0xD8]));
+    expect(buffer[10]).toBe(0xFF);
+    expect(buffer[11]).toBe(0xE1);
+    expect(buffer.subarray(buffer.length - 8)).toEqual(JFIF_JPEG.subarray(JFIF_JPEG.length - 8));
+    expect(readJpegXmp(buffer)).toContain('rbd:Score="123.45"');
+  });
+
+  test("segment length matches the payload", () => {
+    const { buffer } = embedXmp(JFIF_JPEG, FIELDS);
+    const length = buffer.readUInt16BE(12);
+    expect(buffer.length).toBe(JFIF_JPEG.length + 2 + length);
+  });
+
+  test("merges into an existing XMP segment instead of adding another", () => {
+    const first = embedXmp(JFIF_JPEG, [["xmp:Rating", 5], ["xmp:CreatorTool", "Camera"]]).buffer;
+    const { buffer, merged } = embedXmp(first, FIELDS);
+
+    expect(merged).toBe(true);
+    const xmp = readJpegXmp(buffer);
+    expect(xmp).toContain('xmp:CreatorTool="Camera"');
+    expect(xmp).toContain('xmp:Rating="1"');
+    expect(buffer.toString("latin1").match(/http:\/\/ns\.adobe\.com\/xap\/1\.0\/\0/g)).toHaveLength(1);
+  });
+
+  test("rejects non-JPEG data", () => {
+    expect(() => embedXmp(Buffer.from("hello"), FIELDS)).toThrow("not a valid JPEG");
+  });
+});
+
+describe("readJpegXmp", () => {
+  test("returns null when there is no XMP", () => {
+    expect(readJpegXmp(JFIF_JPEG)).toBeNull();
+  });
+});